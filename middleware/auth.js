@@ -1,8 +1,41 @@
 const jwt = require("jsonwebtoken")
 const User = require("../models/User")
+const Session = require("../models/Session")
+const { hasPermission, getCollegeScope } = require("../utils/permissions")
+const { extractApiKey, findActiveApiKey, apiKeyAllows, narrowCollegeScope } = require("../utils/apiKeys")
 
-const auth = async (req, res, next) => {
+// Personal API keys authenticate as their owner. On plain `auth` routes they only get
+// read-only access with the account:read scope; requirePermission checks the other scopes.
+// `sessionOnly` routes (key management, data export) refuse keys altogether.
+const authenticateApiKey = async (req, res, next, key, { allowApiKey, sessionOnly }) => {
+  const apiKey = await findActiveApiKey(key)
+  if (!apiKey) {
+    return res.status(401).json({ message: "API key is not valid" })
+  }
+
+  if (sessionOnly || (!allowApiKey && !(req.method === "GET" && apiKey.scopes.includes("account:read")))) {
+    return res.status(403).json({ message: "This API key cannot access this endpoint" })
+  }
+
+  const user = await User.findById(apiKey.user).select("-password")
+  if (!user) {
+    return res.status(401).json({ message: "API key is not valid" })
+  }
+
+  await apiKey.touch(req.ip)
+
+  req.user = user
+  req.apiKey = apiKey
+  next()
+}
+
+const authenticate = async (req, res, next, options = {}) => {
   try {
+    const apiKey = extractApiKey(req)
+    if (apiKey) {
+      return await authenticateApiKey(req, res, next, apiKey, options)
+    }
+
     const token = req.header("Authorization")?.replace("Bearer ", "")
 
     if (!token) {
@@ -10,6 +43,13 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET)
+
+    // Access tokens are tied to a server-side session that can be revoked
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null
+    if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+      return res.status(401).json({ message: "Session has expired or been revoked" })
+    }
+
     const user = await User.findById(decoded.id).select("-password")
 
     if (!user) {
@@ -17,24 +57,109 @@ const auth = async (req, res, next) => {
     }
 
     req.user = user
+    req.authSession = session
     next()
   } catch (error) {
     res.status(401).json({ message: "Token is not valid" })
   }
 }
 
-const adminAuth = async (req, res, next) => {
-  try {
-    await auth(req, res, () => {})
+const auth = (req, res, next) => authenticate(req, res, next)
+
+// Like auth, but only for a logged-in session, never an API key
+const sessionAuth = (req, res, next) => authenticate(req, res, next, { sessionOnly: true })
+
+// Like auth on public routes: identifies the user when credentials are sent, and lets
+// anonymous requests through without req.user
+const optionalAuth = (req, res, next) => {
+  if (!extractApiKey(req) && !req.header("Authorization")) return next()
+  return authenticate(req, res, next)
+}
+
+const rejectWithoutTwoFactor = (req, res) => {
+  if (req.user.requiresTwoFactor() && !req.user.twoFactor?.enabled) {
+    res.status(403).json({
+      message: "Two-factor authentication must be enabled for this account",
+      twoFactorSetupRequired: true,
+    })
+    return true
+  }
+  return false
+}
 
-    if (req.user.role !== "admin") {
+const adminAuth = (req, res, next) => {
+  auth(req, res, () => {
+    if (!["admin", "super-admin"].includes(req.user.role)) {
       return res.status(403).json({ message: "Access denied. Admin role required." })
     }
 
+    if (rejectWithoutTwoFactor(req, res)) return
+
     next()
-  } catch (error) {
-    res.status(401).json({ message: "Authorization failed" })
+  })
+}
+
+// Require a permission from utils/permissions. `scope` optionally resolves the college
+// the request targets (sync or async); college-scoped roles are refused for other colleges.
+// Routes without a single target college should filter by req.collegeScope instead
+// (null means platform-wide access).
+// API keys additionally need a matching scope and are narrowed to their own colleges.
+const requirePermission = (permission, scope) => (req, res, next) => {
+  const authorize = async () => {
+    try {
+      if (!hasPermission(req.user, permission)) {
+        return res.status(403).json({ message: "Access denied. Insufficient permissions." })
+      }
+
+      if (req.apiKey && !apiKeyAllows(req.apiKey, permission)) {
+        return res.status(403).json({ message: "This API key does not have the required scope" })
+      }
+
+      if (rejectWithoutTwoFactor(req, res)) return
+
+      req.collegeScope = narrowCollegeScope(getCollegeScope(req.user), req.apiKey)
+
+      if (scope && req.collegeScope) {
+        const collegeId = await scope(req)
+        // Unknown targets fall through so the route can answer 404
+        if (collegeId && !req.collegeScope.includes(collegeId.toString())) {
+          return res.status(403).json({ message: "Access denied for this college" })
+        }
+      }
+
+      next()
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
   }
+
+  authenticate(req, res, authorize, { allowApiKey: true })
 }
 
-module.exports = { auth, adminAuth }
+// Opt-in policy (REQUIRE_VERIFIED_EMAIL=true) for actions that need a confirmed address.
+// Use after auth.
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_VERIFIED_EMAIL === "true" && !req.user.isEmailVerified) {
+    return res.status(403).json({
+      message: "Please verify your email address before continuing",
+      emailVerificationRequired: true,
+    })
+  }
+  next()
+}
+
+// Common scope resolvers
+const scopeFromParam = (param = "id") => {
+  return (req) => req.params[param]
+}
+
+module.exports = {
+  auth,
+  sessionAuth,
+  optionalAuth,
+  adminAuth,
+  requirePermission,
+  requireVerifiedEmail,
+  scopeFromParam,
+}
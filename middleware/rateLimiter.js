@@ -22,6 +22,41 @@ const authLimiter = rateLimit({
   legacyHeaders: false,
 })
 
+// Login limiters. Each step of a login counts separately, and only failed attempts count, so
+// students sharing a school's IP address don't lock each other out by logging in.
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 failed logins per windowMs
+  skipSuccessfulRequests: true,
+  message: {
+    error: "Too many authentication attempts, please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+})
+
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 failed two-factor codes per windowMs
+  skipSuccessfulRequests: true,
+  message: {
+    error: "Too many two-factor attempts, please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+})
+
+const oidcCallbackLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 failed external logins per windowMs
+  skipSuccessfulRequests: true,
+  message: {
+    error: "Too many authentication attempts, please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+})
+
 // Password reset rate limiter
 const passwordResetLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
@@ -33,8 +68,24 @@ const passwordResetLimiter = rateLimit({
   legacyHeaders: false,
 })
 
+// Per-account password reset limiter, keyed by the submitted email so rotating IPs doesn't help
+const passwordResetAccountLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // limit each account to 3 password reset emails per hour
+  keyGenerator: (req) => `reset:${String(req.body?.email || req.ip).toLowerCase()}`,
+  message: {
+    error: "Too many password reset requests for this account, please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+})
+
 module.exports = {
   apiLimiter,
   authLimiter,
+  loginLimiter,
+  twoFactorLimiter,
+  oidcCallbackLimiter,
   passwordResetLimiter,
+  passwordResetAccountLimiter,
 }
@@ -0,0 +1,77 @@
+const mongoose = require("mongoose")
+
+// Scopes a personal API key can carry:
+//   account:read        read-only (GET) access to the owner's own account endpoints
+//   colleges:read       read-only college data, including analytics the owner may see
+//   applications:read   list and analyse applications the owner may see
+//   applications:decide change application status
+// Application scopes can be narrowed further to specific colleges with `colleges`.
+const API_KEY_SCOPES = ["account:read", "colleges:read", "applications:read", "applications:decide"]
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Key name is required"],
+      trim: true,
+      maxlength: [50, "Key name cannot exceed 50 characters"],
+    },
+    // First characters of the key, shown in listings so users can tell keys apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: {
+      type: [
+        {
+          type: String,
+          enum: API_KEY_SCOPES,
+        },
+      ],
+      validate: [(scopes) => scopes.length > 0, "At least one scope is required"],
+    },
+    colleges: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "College",
+      },
+    ],
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    expiresAt: Date,
+    revokedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+apiKeySchema.index({ user: 1, revokedAt: 1 })
+
+apiKeySchema.methods.isActive = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date())
+}
+
+// Record usage, at most once a minute to keep hot keys from writing on every request
+apiKeySchema.methods.touch = async function (ipAddress) {
+  if (this.lastUsedAt && this.lastUsedAt > new Date(Date.now() - 60 * 1000)) return
+
+  this.lastUsedAt = new Date()
+  this.lastUsedIp = ipAddress
+  await this.constructor.updateOne({ _id: this._id }, { lastUsedAt: this.lastUsedAt, lastUsedIp: ipAddress })
+}
+
+apiKeySchema.statics.SCOPES = API_KEY_SCOPES
+
+module.exports = mongoose.model("ApiKey", apiKeySchema)
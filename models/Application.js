@@ -12,13 +12,15 @@ const applicationSchema = new mongoose.Schema(
       ref: "College",
       required: true,
     },
+    // Program name as applied for; programId is the matching College.academics.programs entry
     program: {
       type: String,
       required: true,
     },
+    programId: mongoose.Schema.Types.ObjectId,
     degreeLevel: {
       type: String,
-      enum: ["associate", "bachelor", "master", "doctoral"],
+      enum: ["associate", "bachelor", "master", "doctoral", "certificate"],
       required: true,
     },
     applicationData: {
@@ -96,6 +98,8 @@ const applicationSchema = new mongoose.Schema(
     submittedAt: Date,
     reviewedAt: Date,
     decisionDate: Date,
+    // Set when the applicant deleted their account and personal data was stripped
+    anonymizedAt: Date,
     notes: [
       {
         content: String,
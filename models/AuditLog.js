@@ -0,0 +1,47 @@
+const mongoose = require("mongoose")
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Role at the time of the action, since roles can change later
+    actorRole: String,
+    action: {
+      type: String,
+      required: true,
+    },
+    entityType: {
+      type: String,
+      enum: ["College", "Application", "Review", "User", "CampusEvent"],
+      required: true,
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Only the fields that changed, one entry per dotted path
+    changes: [
+      {
+        _id: false,
+        path: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    metadata: mongoose.Schema.Types.Mixed,
+    ipAddress: String,
+    userAgent: String,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+)
+
+auditLogSchema.index({ actor: 1, createdAt: -1 })
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 })
+auditLogSchema.index({ createdAt: -1 })
+
+module.exports = mongoose.model("AuditLog", auditLogSchema)
@@ -0,0 +1,85 @@
+const mongoose = require("mongoose")
+
+const slotSchema = new mongoose.Schema({
+  startsAt: {
+    type: Date,
+    required: true,
+  },
+  endsAt: {
+    type: Date,
+    required: true,
+  },
+  capacity: {
+    type: Number,
+    required: true,
+    min: [1, "Capacity must be at least 1"],
+  },
+  // Decremented atomically on booking; never read-modify-write this field
+  seatsAvailable: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Registration cutoff; defaults to the slot start
+  registrationClosesAt: Date,
+  isCancelled: {
+    type: Boolean,
+    default: false,
+  },
+})
+
+slotSchema.methods.isOpenForRegistration = function () {
+  return !this.isCancelled && new Date() < (this.registrationClosesAt || this.startsAt)
+}
+
+const campusEventSchema = new mongoose.Schema(
+  {
+    college: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "College",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["tour", "info-session", "open-day"],
+      required: true,
+    },
+    title: {
+      type: String,
+      required: [true, "Title is required"],
+      trim: true,
+      maxlength: [100, "Title cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      maxlength: [2000, "Description cannot exceed 2000 characters"],
+    },
+    isVirtual: {
+      type: Boolean,
+      default: false,
+    },
+    location: {
+      address: String,
+      room: String,
+      meetingPoint: String,
+    },
+    virtualLink: String,
+    slots: [slotSchema],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+campusEventSchema.index({ college: 1, "slots.startsAt": 1 })
+campusEventSchema.index({ type: 1, "slots.startsAt": 1 })
+
+module.exports = mongoose.model("CampusEvent", campusEventSchema)
@@ -1,4 +1,117 @@
 const mongoose = require("mongoose")
+const { toGeoPoint } = require("../utils/geo")
+const { INCOME_BANDS, RESIDENCY_STATUSES, DEGREE_LEVELS } = require("../utils/scholarships")
+
+// GeoJSON point; note the [longitude, latitude] order
+const pointSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["Point"],
+      required: true,
+    },
+    coordinates: {
+      type: [Number],
+      required: true,
+      validate: [
+        ([longitude, latitude, ...rest]) =>
+          rest.length === 0 && longitude >= -180 && longitude <= 180 && latitude >= -90 && latitude <= 90,
+        "Coordinates must be [longitude, latitude]",
+      ],
+    },
+  },
+  { _id: false },
+)
+
+// An image or video. Uploaded files record where they are stored and their generated
+// thumbnails; entries added by URL have only url, caption and isMain.
+const mediaSchema = new mongoose.Schema({
+  url: String,
+  caption: String,
+  isMain: {
+    type: Boolean,
+    default: false,
+  },
+  mimeType: String,
+  size: Number,
+  width: Number,
+  height: Number,
+  storage: {
+    driver: { type: String, enum: ["local", "cloudinary"] },
+    key: String,
+  },
+  thumbnails: [
+    {
+      _id: false,
+      name: String,
+      url: String,
+      key: String,
+      width: Number,
+      height: Number,
+    },
+  ],
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  uploadedAt: Date,
+})
+
+// A program of study. Deadlines, requirements and tuition set here take precedence over the
+// college-wide admissions and costs; unset values fall back to them.
+const programSchema = new mongoose.Schema({
+  name: String,
+  degree: {
+    type: String,
+    enum: ["associate", "bachelor", "master", "doctoral", "certificate"],
+  },
+  department: String,
+  duration: String,
+  credits: Number,
+  description: String,
+  deadlines: {
+    earlyDecision: Date,
+    earlyAction: Date,
+    regular: Date,
+    transfer: Date,
+  },
+  requirements: {
+    gpaMinimum: Number,
+    prerequisites: [String],
+    requiredDocuments: [String],
+    portfolioRequired: Boolean,
+    interviewRequired: Boolean,
+  },
+  tuition: {
+    inState: Number,
+    outOfState: Number,
+    international: Number,
+  },
+  isAcceptingApplications: {
+    type: Boolean,
+    default: true,
+  },
+})
+
+// A scholarship and who can get it. `criteria` describes eligibility for people; `eligibility`
+// holds the rules students are matched against. Unset rules don't restrict anyone.
+const scholarshipSchema = new mongoose.Schema({
+  name: String,
+  amount: Number,
+  criteria: String,
+  deadline: Date,
+  eligibility: {
+    minGpa: Number,
+    minSat: Number,
+    minAct: Number,
+    residency: [{ type: String, enum: RESIDENCY_STATUSES }],
+    degreeLevels: [{ type: String, enum: DEGREE_LEVELS }],
+    majors: [String],
+    needBased: Boolean,
+    // Highest family income band a need-based award goes to (48-75k when unset)
+    maxIncomeBand: { type: String, enum: INCOME_BANDS },
+  },
+})
 
 const collegeSchema = new mongoose.Schema(
   {
@@ -14,6 +127,13 @@ const collegeSchema = new mongoose.Schema(
       unique: true,
       lowercase: true,
     },
+    // Slugs this college used before being renamed; lookups by them redirect to `slug`
+    previousSlugs: [
+      {
+        type: String,
+        lowercase: true,
+      },
+    ],
     description: {
       type: String,
       required: [true, "Description is required"],
@@ -35,21 +155,15 @@ const collegeSchema = new mongoose.Schema(
         default: "USA",
       },
       zipCode: String,
+      // Legacy { latitude, longitude } input is converted on assignment
       coordinates: {
-        latitude: Number,
-        longitude: Number,
+        type: pointSchema,
+        set: toGeoPoint,
       },
     },
-    images: [
-      {
-        url: String,
-        caption: String,
-        isMain: {
-          type: Boolean,
-          default: false,
-        },
-      },
-    ],
+    // Display order is array order
+    images: [mediaSchema],
+    videos: [mediaSchema],
     type: {
       type: String,
       enum: ["public", "private", "community"],
@@ -78,18 +192,7 @@ const collegeSchema = new mongoose.Schema(
       ],
     },
     academics: {
-      programs: [
-        {
-          name: String,
-          degree: {
-            type: String,
-            enum: ["associate", "bachelor", "master", "doctoral", "certificate"],
-          },
-          department: String,
-          duration: String,
-          credits: Number,
-        },
-      ],
+      programs: [programSchema],
       facultyStudentRatio: String,
       averageClassSize: Number,
       graduationRate: Number,
@@ -140,14 +243,7 @@ const collegeSchema = new mongoose.Schema(
     },
     financialAid: {
       available: Boolean,
-      scholarships: [
-        {
-          name: String,
-          amount: Number,
-          criteria: String,
-          deadline: Date,
-        },
-      ],
+      scholarships: [scholarshipSchema],
       averageAidPackage: Number,
       percentReceivingAid: Number,
     },
@@ -219,6 +315,43 @@ const collegeSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Editorial workflow. `status` tracks the pending version: a never-published college is
+    // edited in place, while edits to a published one are staged in `draft` until approved.
+    status: {
+      type: String,
+      enum: ["draft", "in-review", "published"],
+      default: "published",
+    },
+    // Whether the live profile is public. Colleges created before the workflow have no value.
+    isPublished: {
+      type: Boolean,
+      default: true,
+    },
+    publishedAt: Date,
+    draft: {
+      type: new mongoose.Schema(
+        {
+          // Whole top-level fields as they will be published, e.g. { location: {...} }
+          changes: mongoose.Schema.Types.Mixed,
+          updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+          updatedAt: Date,
+          submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+          submittedAt: Date,
+          approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+          publishAt: Date,
+          reviewNote: String,
+        },
+        { _id: false },
+      ),
+      // Staged edits are never part of the public profile
+      select: false,
+    },
+    // Bumped on every editorial change; clients echo it back in If-Match to avoid lost updates.
+    // Colleges created before revisions were tracked have no value, which counts as 0.
+    revision: {
+      type: Number,
+      default: 0,
+    },
   },
   {
     timestamps: true,
@@ -226,9 +359,26 @@ const collegeSchema = new mongoose.Schema(
 )
 
 // Create indexes for better search performance
-collegeSchema.index({ name: "text", description: "text" })
+// Full-text search, ranked name > programs > location > description.
+// Run `npm run sync-indexes` after changing this; MongoDB allows only one text index.
+collegeSchema.index(
+  {
+    name: "text",
+    "academics.programs.name": "text",
+    "location.city": "text",
+    "location.state": "text",
+    description: "text",
+  },
+  {
+    name: "college_text_search",
+    weights: { name: 10, "academics.programs.name": 5, "location.city": 3, "location.state": 3, description: 1 },
+  },
+)
 collegeSchema.index({ "location.city": 1, "location.state": 1 })
+collegeSchema.index({ "location.coordinates": "2dsphere" })
 collegeSchema.index({ type: 1, size: 1 })
 collegeSchema.index({ "reviews.averageRating": -1 })
+collegeSchema.index({ "draft.publishAt": 1 }, { sparse: true })
+collegeSchema.index({ previousSlugs: 1 })
 
 module.exports = mongoose.model("College", collegeSchema)
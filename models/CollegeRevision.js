@@ -0,0 +1,48 @@
+const mongoose = require("mongoose")
+
+// One entry per saved version of a college. `snapshot` holds the editable fields as they
+// stood after the change, so any version can be restored.
+const collegeRevisionSchema = new mongoose.Schema(
+  {
+    college: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "College",
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ["baseline", "create", "update", "rollback", "import", "feature", "delete", "publish", "media"],
+      required: true,
+    },
+    // Empty for changes made outside the API (scripts, the recorded baseline)
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    authorRole: String,
+    changes: [
+      {
+        _id: false,
+        path: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    restoredFrom: Number,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+)
+
+collegeRevisionSchema.index({ college: 1, version: -1 }, { unique: true })
+
+module.exports = mongoose.model("CollegeRevision", collegeRevisionSchema)
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose")
+
+const eventBookingSchema = new mongoose.Schema(
+  {
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CampusEvent",
+      required: true,
+    },
+    slot: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["booked", "waitlisted", "cancelled"],
+      required: true,
+    },
+    // false once cancelled, so the unique index only covers live bookings
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    promotedAt: Date,
+    cancelledAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// One live booking or waitlist entry per user per slot
+eventBookingSchema.index({ slot: 1, user: 1 }, { unique: true, partialFilterExpression: { isActive: true } })
+// Waitlist is served oldest first
+eventBookingSchema.index({ slot: 1, status: 1, createdAt: 1 })
+eventBookingSchema.index({ user: 1, createdAt: -1 })
+
+module.exports = mongoose.model("EventBooking", eventBookingSchema)
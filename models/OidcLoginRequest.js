@@ -0,0 +1,40 @@
+const mongoose = require("mongoose")
+
+// Server-side half of an in-flight OIDC login: the PKCE verifier and nonce never leave the API
+const oidcLoginRequestSchema = new mongoose.Schema(
+  {
+    state: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    nonce: {
+      type: String,
+      required: true,
+    },
+    codeVerifier: {
+      type: String,
+      required: true,
+    },
+    redirectUri: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      default: () => new Date(Date.now() + 10 * 60 * 1000), // 10 minutes
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+oidcLoginRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model("OidcLoginRequest", oidcLoginRequestSchema)
@@ -0,0 +1,52 @@
+const mongoose = require("mongoose")
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // SHA-256 of the current refresh token; rotated on every refresh
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // Hashes of the last few rotated-out refresh tokens, to recognise one being replayed
+    previousRefreshTokenHashes: {
+      type: [String],
+      select: false,
+    },
+    rotatedAt: Date,
+    userAgent: String,
+    ipAddress: String,
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: ["logout", "user-revoked", "password-change", "password-reset", "token-reuse"],
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+sessionSchema.index({ user: 1, revokedAt: 1 })
+
+// Let MongoDB purge sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date()
+}
+
+module.exports = mongoose.model("Session", sessionSchema)
@@ -1,5 +1,28 @@
+const crypto = require("crypto")
 const mongoose = require("mongoose")
 const bcrypt = require("bcryptjs")
+const { hashToken } = require("../utils/authTokens")
+const { ROLES, ROLE_NAMES } = require("../utils/permissions")
+
+const MAX_FAILED_LOGINS = 5
+const BASE_LOCK_MS = 15 * 60 * 1000 // 15 minutes
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000 // 24 hours
+
+// Credentials, one-time tokens and lockout state, left out of every JSON response
+const SECRET_PATHS = [
+  "password",
+  "emailVerificationToken",
+  "passwordResetToken",
+  "passwordResetExpires",
+  "pendingEmail.tokenHash",
+  "calendarFeed.tokenHash",
+  "reauthentication",
+  "loginSecurity",
+  "twoFactor.secret",
+  "twoFactor.pendingSecret",
+  "twoFactor.lastUsedStep",
+  "twoFactor.recoveryCodes",
+]
 
 const userSchema = new mongoose.Schema(
   {
@@ -16,21 +39,46 @@ const userSchema = new mongoose.Schema(
       lowercase: true,
       match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, "Please enter a valid email"],
     },
+    // Optional for accounts that only sign in through an external identity provider
     password: {
       type: String,
-      required: [true, "Password is required"],
+      required: [
+        function () {
+          return !this.identities?.length
+        },
+        "Password is required",
+      ],
       minlength: [6, "Password must be at least 6 characters"],
       select: false,
     },
+    identities: [
+      {
+        _id: false,
+        provider: String,
+        subject: String,
+        email: String,
+        linkedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     avatar: {
       type: String,
       default: "",
     },
     role: {
       type: String,
-      enum: ["student", "admin"],
+      enum: ROLE_NAMES,
       default: "student",
     },
+    // Colleges a college-staff account may manage
+    staffColleges: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "College",
+      },
+    ],
     profile: {
       phone: String,
       dateOfBirth: Date,
@@ -69,6 +117,27 @@ const userSchema = new mongoose.Schema(
         ref: "College",
       },
     ],
+    // Named side-by-side comparisons of 2-4 colleges
+    savedComparisons: [
+      {
+        name: {
+          type: String,
+          required: true,
+          trim: true,
+          maxlength: [60, "Comparison name cannot exceed 60 characters"],
+        },
+        colleges: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "College",
+          },
+        ],
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     applications: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -79,18 +148,123 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
-    emailVerificationToken: String,
-    passwordResetToken: String,
-    passwordResetExpires: Date,
+    emailVerificationToken: {
+      type: String,
+      select: false,
+    },
+    // Requested new address, swapped in once the link sent to it is confirmed
+    pendingEmail: {
+      address: String,
+      tokenHash: {
+        type: String,
+        select: false,
+      },
+      expiresAt: Date,
+    },
+    // Private ICS feed; the token in the feed URL is only stored hashed
+    calendarFeed: {
+      tokenHash: {
+        type: String,
+        select: false,
+      },
+      createdAt: Date,
+    },
+    passwordResetToken: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+    // Emailed one-time code that confirms sensitive changes on accounts without a password
+    reauthentication: {
+      codeHash: {
+        type: String,
+        select: false,
+      },
+      issuedAt: Date,
+      expiresAt: Date,
+      attempts: Number,
+    },
+    // Set when the user asks to delete their account; data is erased after scheduledFor
+    deletion: {
+      requestedAt: Date,
+      scheduledFor: Date,
+    },
+    loginSecurity: {
+      failedAttempts: {
+        type: Number,
+        default: 0,
+      },
+      lastFailedAt: Date,
+      lockUntil: Date,
+      // Consecutive lockouts, used to grow the lock duration exponentially
+      lockCount: {
+        type: Number,
+        default: 0,
+      },
+    },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret issued by /2fa/enroll that becomes active once a code is confirmed
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // Last accepted TOTP time step, so a code cannot be replayed
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      recoveryCodes: {
+        type: [
+          {
+            hash: String,
+            usedAt: Date,
+          },
+        ],
+        select: false,
+      },
+      enabledAt: Date,
+    },
   },
   {
     timestamps: true,
+    toJSON: {
+      // Documents loaded or changed in this request can still hold secrets that aren't
+      // selected by default; none of them is ever sent in a response
+      transform: (doc, ret) => {
+        SECRET_PATHS.forEach((path) => {
+          const keys = path.split(".")
+          const last = keys.pop()
+          const parent = keys.reduce((value, key) => value?.[key], ret)
+          if (parent) delete parent[last]
+        })
+        return ret
+      },
+    },
   },
 )
 
+// One account per external identity
+userSchema.index(
+  { "identities.provider": 1, "identities.subject": 1 },
+  { unique: true, partialFilterExpression: { "identities.subject": { $exists: true } } },
+)
+
+userSchema.index({ "calendarFeed.tokenHash": 1 }, { sparse: true })
+
 // Hash password before saving
 userSchema.pre("save", async function (next) {
-  if (!this.isModified("password")) return next()
+  if (!this.isModified("password") || !this.password) return next()
 
   this.password = await bcrypt.hash(this.password, 12)
   next()
@@ -98,7 +272,105 @@ userSchema.pre("save", async function (next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function (candidatePassword) {
+  if (!this.password || typeof candidatePassword !== "string") return false
   return await bcrypt.compare(candidatePassword, this.password)
 }
 
+userSchema.methods.isLocked = function () {
+  return Boolean(this.loginSecurity?.lockUntil && this.loginSecurity.lockUntil > new Date())
+}
+
+// Re-confirm the user before a sensitive change. Accounts that only sign in through an
+// external provider have no password, so they confirm with an emailed code instead.
+userSchema.methods.confirmPassword = async function (candidatePassword, reauthCode) {
+  if (this.password) return await this.comparePassword(candidatePassword)
+  return await this.consumeReauthCode(reauthCode)
+}
+
+const MAX_REAUTH_ATTEMPTS = 5
+
+// Start a re-authentication; returns the code to email
+userSchema.methods.issueReauthCode = async function () {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, "0")
+  const now = new Date()
+  this.reauthentication = {
+    codeHash: hashToken(code),
+    issuedAt: now,
+    expiresAt: new Date(now.getTime() + 10 * 60 * 1000), // 10 minutes
+    attempts: 0,
+  }
+  await this.save()
+  return code
+}
+
+// Check a re-authentication code; each code works once and only for a few guesses
+userSchema.methods.consumeReauthCode = async function (code) {
+  const User = this.constructor
+  if (typeof code !== "string" || !code) return false
+
+  const matched = await User.findOneAndUpdate(
+    {
+      _id: this._id,
+      "reauthentication.codeHash": hashToken(code),
+      "reauthentication.expiresAt": { $gt: new Date() },
+      "reauthentication.attempts": { $lt: MAX_REAUTH_ATTEMPTS },
+    },
+    { $unset: { reauthentication: 1 } },
+  )
+  if (matched) return true
+
+  await User.updateOne(
+    { _id: this._id, "reauthentication.codeHash": { $exists: true } },
+    { $inc: { "reauthentication.attempts": 1 } },
+  )
+  return false
+}
+
+// Record a failed login atomically. Returns the lock expiry if this failure locked the account.
+userSchema.methods.registerFailedLogin = async function () {
+  const User = this.constructor
+  const updated = await User.findByIdAndUpdate(
+    this._id,
+    { $inc: { "loginSecurity.failedAttempts": 1 }, $set: { "loginSecurity.lastFailedAt": new Date() } },
+    { new: true },
+  )
+
+  if (!updated || updated.loginSecurity.failedAttempts < MAX_FAILED_LOGINS) {
+    return null
+  }
+
+  const lockCount = updated.loginSecurity.lockCount || 0
+  const lockUntil = new Date(Date.now() + Math.min(BASE_LOCK_MS * 2 ** lockCount, MAX_LOCK_MS))
+
+  await User.updateOne(
+    { _id: this._id },
+    {
+      $set: {
+        "loginSecurity.failedAttempts": 0,
+        "loginSecurity.lockUntil": lockUntil,
+        "loginSecurity.lockCount": lockCount + 1,
+      },
+    },
+  )
+
+  this.loginSecurity.lockUntil = lockUntil
+  return lockUntil
+}
+
+userSchema.methods.resetLoginFailures = async function () {
+  this.loginSecurity = { failedAttempts: 0, lockCount: 0 }
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: { "loginSecurity.failedAttempts": 0, "loginSecurity.lockCount": 0 },
+      $unset: { "loginSecurity.lockUntil": 1, "loginSecurity.lastFailedAt": 1 },
+    },
+  )
+}
+
+// Two-factor authentication is mandatory for privileged roles
+userSchema.methods.requiresTwoFactor = function () {
+  return Boolean(ROLES[this.role]?.requiresTwoFactor)
+}
+
 module.exports = mongoose.model("User", userSchema)
@@ -0,0 +1,229 @@
+const express = require("express")
+const multer = require("multer")
+const path = require("path")
+const { body, query, validationResult } = require("express-validator")
+const AuditLog = require("../models/AuditLog")
+const { requirePermission } = require("../middleware/auth")
+const { hasPermission } = require("../utils/permissions")
+const { recordAudit } = require("../utils/auditLog")
+const { parseRecords, importColleges, exportColleges } = require("../utils/collegeCatalog")
+
+const router = express.Router()
+
+const MAX_IMPORT_ROWS = 5000
+
+// Catalog files are parsed in memory and never written to disk
+const catalogUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+})
+
+const uploadCatalogFile = (req, res, next) => {
+  catalogUpload.single("file")(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ message: error.message })
+    }
+    next()
+  })
+}
+
+// Multipart fields arrive as strings; JSON bodies may send the mapping as an object
+const parseMapping = (value) => {
+  if (!value) return null
+  const mapping = typeof value === "string" ? JSON.parse(value) : value
+  if (typeof mapping !== "object" || Array.isArray(mapping)) {
+    throw new Error("Mapping must be an object of { collegePath: sourceColumn }")
+  }
+  if (Object.values(mapping).some((column) => typeof column !== "string")) {
+    throw new Error("Mapping columns must be strings")
+  }
+  return mapping
+}
+
+// @route   GET /api/admin/audit
+// @desc    Query the audit log by actor, entity and date range (Admin only)
+// @access  Private (audit:read)
+router.get(
+  "/audit",
+  requirePermission("audit:read"),
+  [
+    query("actor").optional().isMongoId().withMessage("Invalid actor ID"),
+    query("entityType")
+      .optional()
+      .isIn(["College", "Application", "Review", "User", "CampusEvent"])
+      .withMessage("Invalid entity type"),
+    query("entityId").optional().isMongoId().withMessage("Invalid entity ID"),
+    query("from").optional().isISO8601().withMessage("Invalid from date"),
+    query("to").optional().isISO8601().withMessage("Invalid to date"),
+    query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer").toInt(),
+    query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100").toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const { actor, entityType, entityId, action, from, to, page = 1, limit = 50 } = req.query
+
+      // Build query
+      const filter = {}
+      if (actor) filter.actor = actor
+      if (entityType) filter.entityType = entityType
+      if (entityId) filter.entityId = entityId
+      if (action) filter.action = action
+
+      if (from || to) {
+        filter.createdAt = {}
+        if (from) filter.createdAt.$gte = new Date(from)
+        if (to) filter.createdAt.$lte = new Date(to)
+      }
+
+      const entries = await AuditLog.find(filter)
+        .populate("actor", "name email role")
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+
+      const total = await AuditLog.countDocuments(filter)
+
+      res.json({
+        success: true,
+        data: {
+          entries,
+          pagination: {
+            current: Number.parseInt(page),
+            pages: Math.ceil(total / limit),
+            total,
+            limit: Number.parseInt(limit),
+          },
+        },
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @route   POST /api/admin/colleges/import
+// @desc    Import colleges from CSV or JSON, upserting by slug. Send a file ("file") or a JSON
+//          body with "colleges". "mapping" maps college paths to source columns; "dryRun"
+//          validates every row and reports what would change without writing. New colleges are
+//          created as drafts and changes to published ones are staged for review, unless
+//          "publish" is set (needs colleges:publish).
+// @access  Private (colleges:import)
+router.post(
+  "/colleges/import",
+  requirePermission("colleges:import"),
+  uploadCatalogFile,
+  [
+    body("format").optional().isIn(["csv", "json"]).withMessage("Format must be csv or json"),
+    body("dryRun").optional().isBoolean().withMessage("dryRun must be true or false"),
+    body("publish").optional().isBoolean().withMessage("publish must be true or false"),
+    body("colleges").optional().isArray().withMessage("Colleges must be an array"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      let mapping
+      let records
+      try {
+        mapping = parseMapping(req.body.mapping)
+
+        if (req.file) {
+          const extension = path.extname(req.file.originalname).toLowerCase()
+          const format = req.body.format || (extension === ".json" ? "json" : "csv")
+          records = parseRecords(format, req.file.buffer.toString("utf8"))
+        } else if (req.body.colleges) {
+          records = req.body.colleges
+        } else {
+          return res.status(400).json({ message: "Upload a CSV or JSON file, or send a colleges array" })
+        }
+      } catch (error) {
+        return res.status(400).json({ message: `Could not read import: ${error.message}` })
+      }
+
+      if (records.length === 0) {
+        return res.status(400).json({ message: "The import contains no colleges" })
+      }
+      if (records.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({ message: `Imports are limited to ${MAX_IMPORT_ROWS} colleges` })
+      }
+
+      const dryRun = req.body.dryRun === true || req.body.dryRun === "true"
+      const publish = req.body.publish === true || req.body.publish === "true"
+      if (publish && !hasPermission(req.user, "colleges:publish")) {
+        return res.status(403).json({ message: "You do not have permission to publish colleges" })
+      }
+
+      const report = await importColleges(records, {
+        mapping,
+        dryRun,
+        publish,
+        author: req.user,
+        onSaved: (action, before, after) =>
+          recordAudit(req, {
+            action: `college.import.${action}`,
+            entityType: "College",
+            entityId: after._id,
+            before,
+            after,
+          }),
+      })
+
+      res.json({
+        success: true,
+        data: report,
+        message: dryRun
+          ? `Dry run: ${report.created} to create, ${report.updated} to update, ${report.staged} to stage for review, ` +
+            `${report.failed} with errors`
+          : `Imported ${report.created + report.updated + report.staged} colleges ` +
+            `(${report.staged} staged for review, ${report.failed} skipped with errors)`,
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @route   GET /api/admin/colleges/export
+// @desc    Export the college catalog as CSV or JSON, in the format the importer accepts
+// @access  Private (colleges:export)
+router.get(
+  "/colleges/export",
+  requirePermission("colleges:export"),
+  [
+    query("format").optional().isIn(["csv", "json"]).withMessage("Format must be csv or json"),
+    query("includeInactive").optional().isBoolean().withMessage("includeInactive must be true or false"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const { format = "csv", includeInactive } = req.query
+      const output = await exportColleges(format, { includeInactive: includeInactive === "true" })
+      const date = new Date().toISOString().slice(0, 10)
+
+      res.set({
+        "Content-Type": format === "json" ? "application/json; charset=utf-8" : "text/csv; charset=utf-8",
+        "Content-Disposition": `attachment; filename="colleges-${date}.${format}"`,
+      })
+      res.send(output)
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+module.exports = router
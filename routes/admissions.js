@@ -4,10 +4,22 @@ const Application = require("../models/Application")
 const College = require("../models/College")
 const User = require("../models/User")
 const mongoose = require("mongoose") // Import mongoose
-const { auth, adminAuth } = require("../middleware/auth")
+const { auth, requirePermission, requireVerifiedEmail } = require("../middleware/auth")
+const { scopeCollegeFilter } = require("../utils/permissions")
+const { notify } = require("../utils/mailer")
+const { recordAudit } = require("../utils/auditLog")
+const { PUBLISHED_FILTER } = require("../utils/collegeDrafts")
+const { findCollegeProgram } = require("../utils/programs")
 
 const router = express.Router()
 
+// Resolve the college an application belongs to, for college-scoped permissions
+const applicationCollegeScope = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null
+  const application = await Application.findById(req.params.id).select("college")
+  return application?.college
+}
+
 // @route   GET /api/admissions/applications
 // @desc    Get user's applications
 // @access  Private
@@ -105,9 +117,11 @@ router.post(
   auth,
   [
     body("collegeId").isMongoId().withMessage("Valid college ID is required"),
-    body("program").trim().isLength({ min: 2 }).withMessage("Program is required"),
+    body("programId").optional().isMongoId().withMessage("Invalid program ID"),
+    body("program").if(body("programId").not().exists()).trim().isLength({ min: 2 }).withMessage("Program is required"),
     body("degreeLevel")
-      .isIn(["associate", "bachelor", "master", "doctoral"])
+      .optional()
+      .isIn(["associate", "bachelor", "master", "doctoral", "certificate"])
       .withMessage("Valid degree level is required"),
   ],
   async (req, res) => {
@@ -117,19 +131,40 @@ router.post(
         return res.status(400).json({ errors: errors.array() })
       }
 
-      const { collegeId, program, degreeLevel } = req.body
+      const { collegeId, programId } = req.body
 
       // Check if college exists
-      const college = await College.findById(collegeId)
+      const college = await College.findOne({ _id: collegeId, ...PUBLISHED_FILTER })
       if (!college) {
         return res.status(404).json({ message: "College not found" })
       }
 
+      // The program must be one the college offers
+      const program = findCollegeProgram(college, {
+        programId,
+        name: req.body.program,
+        degree: req.body.degreeLevel,
+      })
+      if (!program) {
+        return res.status(400).json({ message: `${college.name} doesn't offer this program` })
+      }
+      if (program.isAcceptingApplications === false) {
+        return res.status(400).json({ message: "This program isn't accepting applications" })
+      }
+
+      const degreeLevel = req.body.degreeLevel || program.degree
+      if (!degreeLevel) {
+        return res.status(400).json({ message: "Valid degree level is required" })
+      }
+      if (program.degree && program.degree !== degreeLevel) {
+        return res.status(400).json({ message: `${program.name} is a ${program.degree} program` })
+      }
+
       // Check if user already has an application for this college and program
       const existingApplication = await Application.findOne({
         applicant: req.user.id,
         college: collegeId,
-        program,
+        program: program.name,
       })
 
       if (existingApplication) {
@@ -142,7 +177,8 @@ router.post(
       const application = new Application({
         applicant: req.user.id,
         college: collegeId,
-        program,
+        program: program.name,
+        programId: program._id,
         degreeLevel,
         applicationData: {
           personalInfo: {
@@ -238,7 +274,7 @@ router.put("/applications/:id", auth, async (req, res) => {
 // @route   POST /api/admissions/applications/:id/submit
 // @desc    Submit application
 // @access  Private
-router.post("/applications/:id/submit", auth, async (req, res) => {
+router.post("/applications/:id/submit", auth, requireVerifiedEmail, async (req, res) => {
   try {
     const { id } = req.params
 
@@ -352,7 +388,7 @@ router.get("/deadlines", auth, async (req, res) => {
         { "admissions.applicationDeadlines.earlyDecision": { $gte: currentDate } },
         { "admissions.applicationDeadlines.earlyAction": { $gte: currentDate } },
       ],
-      isActive: true,
+      ...PUBLISHED_FILTER,
     })
       .select("name slug admissions.applicationDeadlines location images")
       .limit(Number.parseInt(limit))
@@ -397,9 +433,9 @@ router.get("/deadlines", auth, async (req, res) => {
 // Admin Routes
 
 // @route   GET /api/admissions/admin/applications
-// @desc    Get all applications (Admin only)
-// @access  Private/Admin
-router.get("/admin/applications", adminAuth, async (req, res) => {
+// @desc    Get all applications (Admin, or staff for their colleges)
+// @access  Private (applications:read)
+router.get("/admin/applications", requirePermission("applications:read"), async (req, res) => {
   try {
     const { status, college, page = 1, limit = 20, sortBy = "submittedAt", sortOrder = "desc" } = req.query
 
@@ -407,8 +443,9 @@ router.get("/admin/applications", adminAuth, async (req, res) => {
     if (status && status !== "all") {
       query.status = status
     }
-    if (college) {
-      query.college = college
+    const collegeFilter = scopeCollegeFilter(req.collegeScope, college)
+    if (collegeFilter) {
+      query.college = collegeFilter
     }
 
     const sort = {}
@@ -425,6 +462,7 @@ router.get("/admin/applications", adminAuth, async (req, res) => {
 
     // Get statistics
     const stats = await Application.aggregate([
+      { $match: collegeFilter ? { college: collegeFilter } : {} },
       {
         $group: {
           _id: "$status",
@@ -466,11 +504,11 @@ router.get("/admin/applications", adminAuth, async (req, res) => {
 })
 
 // @route   PUT /api/admissions/admin/applications/:id/status
-// @desc    Update application status (Admin only)
-// @access  Private/Admin
+// @desc    Update application status (Admin, or staff for their colleges)
+// @access  Private (applications:decide)
 router.put(
   "/admin/applications/:id/status",
-  adminAuth,
+  requirePermission("applications:decide", applicationCollegeScope),
   [
     body("status")
       .isIn(["submitted", "under-review", "accepted", "rejected", "waitlisted"])
@@ -491,6 +529,7 @@ router.put(
         return res.status(404).json({ message: "Application not found" })
       }
 
+      const before = application.toObject()
       application.status = status
       application.reviewedAt = new Date()
 
@@ -507,10 +546,26 @@ router.put(
 
       await application.save()
 
+      await recordAudit(req, {
+        action: "application.status",
+        entityType: "Application",
+        entityId: application._id,
+        before,
+        after: application,
+      })
+
       const updatedApplication = await Application.findById(id)
         .populate("applicant", "name email")
         .populate("college", "name slug")
 
+      if (updatedApplication.applicant) {
+        notify("applicationStatus", updatedApplication.applicant.email, {
+          user: updatedApplication.applicant,
+          application: updatedApplication,
+          college: updatedApplication.college,
+        })
+      }
+
       res.json({
         success: true,
         data: updatedApplication,
@@ -524,15 +579,16 @@ router.put(
 )
 
 // @route   GET /api/admissions/admin/analytics
-// @desc    Get admission analytics (Admin only)
-// @access  Private/Admin
-router.get("/admin/analytics", adminAuth, async (req, res) => {
+// @desc    Get admission analytics (Admin, counselors, or staff for their colleges)
+// @access  Private (applications:analytics)
+router.get("/admin/analytics", requirePermission("applications:analytics"), async (req, res) => {
   try {
     const { college, year } = req.query
 
     const matchQuery = {}
-    if (college) {
-      matchQuery.college = mongoose.Types.ObjectId(college)
+    const collegeFilter = scopeCollegeFilter(req.collegeScope, college)
+    if (collegeFilter) {
+      matchQuery.college = collegeFilter
     }
     if (year) {
       const startDate = new Date(`${year}-01-01`)
@@ -1,16 +1,142 @@
+const crypto = require("crypto")
 const express = require("express")
+const mongoose = require("mongoose")
 const jwt = require("jsonwebtoken")
 const { body, validationResult } = require("express-validator")
 const User = require("../models/User")
+const Session = require("../models/Session")
+const OidcLoginRequest = require("../models/OidcLoginRequest")
 const { auth } = require("../middleware/auth")
+const {
+  loginLimiter,
+  twoFactorLimiter,
+  oidcCallbackLimiter,
+  passwordResetLimiter,
+  passwordResetAccountLimiter,
+} = require("../middleware/rateLimiter")
+const {
+  hashToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  revokeUserApiKeys,
+} = require("../utils/authTokens")
+const { sendTemplate, notify } = require("../utils/mailer")
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+} = require("../utils/totp")
+const { getProviders, getProvider, createAuthorizationRequest, exchangeCode, verifyIdToken } = require("../utils/oidc")
 
 const router = express.Router()
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || "7d",
+const TWO_FACTOR_FIELDS = "+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes"
+
+// Check a TOTP code or an unused recovery code against a user loaded with TWO_FACTOR_FIELDS.
+// Marks the code as consumed on the document; the caller saves it.
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyCode(user.twoFactor.secret, code)
+    if (step === null || (user.twoFactor.lastUsedStep && step <= user.twoFactor.lastUsedStep)) {
+      return false
+    }
+    user.twoFactor.lastUsedStep = step
+    return true
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode))
+    const entry = user.twoFactor.recoveryCodes.find((item) => item.hash === hash && !item.usedAt)
+    if (!entry) {
+      return false
+    }
+    entry.usedAt = new Date()
+    return true
+  }
+
+  return false
+}
+
+const sendAccountLocked = (res, lockUntil) => {
+  return res.status(423).json({
+    message: "Account is temporarily locked due to too many failed login attempts",
+    lockedUntil: lockUntil,
+  })
+}
+
+// Count a failed password or 2FA attempt and email the user if it locked the account
+const handleFailedLogin = async (user) => {
+  const lockUntil = await user.registerFailedLogin()
+  if (lockUntil) {
+    notify("accountLocked", user.email, { user, lockUntil })
+  }
+  return lockUntil
+}
+
+// Reset the failure count after a complete login
+const clearLoginFailures = async (user) => {
+  if (user.loginSecurity?.failedAttempts > 0 || user.loginSecurity?.lockCount > 0) {
+    await user.resetLoginFailures()
+  }
+}
+
+const generateChallengeToken = (user) => {
+  return jwt.sign({ id: user._id, purpose: "2fa-challenge" }, process.env.JWT_SECRET, { expiresIn: "5m" })
+}
+
+// Find the account for an OIDC identity, linking by verified email or creating a password-less user
+const resolveOidcUser = async (provider, claims) => {
+  const existing = await User.findOne({
+    identities: { $elemMatch: { provider: provider.id, subject: claims.sub } },
+  })
+  if (existing) return { user: existing }
+
+  const email = claims.email?.toLowerCase()
+  const emailVerified = claims.email_verified === true || claims.email_verified === "true"
+  if (!email || !emailVerified) {
+    return { error: "Your account with this provider must have a verified email address" }
+  }
+
+  const identity = { provider: provider.id, subject: claims.sub, email }
+
+  const user = await User.findOne({ email })
+  if (user) {
+    // Leave a locked account as it is; the callback refuses the login
+    if (user.isLocked()) return { user }
+
+    // Nobody proved ownership of this address before, so the existing password may belong
+    // to someone else who registered it first. Drop it and sign out its sessions.
+    if (!user.isEmailVerified) {
+      user.password = undefined
+      user.isEmailVerified = true
+      await revokeUserSessions(user._id, "user-revoked")
+      await revokeUserApiKeys(user._id)
+    }
+
+    user.identities.push(identity)
+    await user.save()
+    return { user, linked: true }
+  }
+
+  const created = new User({
+    name: (claims.name || email.split("@")[0]).slice(0, 50),
+    email,
+    avatar: claims.picture || "",
+    isEmailVerified: true,
+    identities: [identity],
   })
+  await created.save()
+  return { user: created, created: true }
+}
+
+const issueRecoveryCodes = (user) => {
+  const codes = generateRecoveryCodes()
+  user.twoFactor.recoveryCodes = codes.map((code) => ({ hash: hashToken(code) }))
+  return codes
 }
 
 // @route   POST /api/auth/register
@@ -45,14 +171,18 @@ router.post(
         password,
       })
 
+      user.emailVerificationToken = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: "24h" })
       await user.save()
 
-      // Generate token
-      const token = generateToken(user._id)
+      notify("emailVerification", user.email, { user, token: user.emailVerificationToken })
+
+      // Start a session and issue the token pair
+      const { token, refreshToken } = await createSession(user, req)
 
       res.status(201).json({
         success: true,
         token,
+        refreshToken,
         user: {
           id: user._id,
           name: user.name,
@@ -72,6 +202,7 @@ router.post(
 // @access  Public
 router.post(
   "/login",
+  loginLimiter,
   [
     body("email").isEmail().withMessage("Please enter a valid email"),
     body("password").exists().withMessage("Password is required"),
@@ -91,18 +222,116 @@ router.post(
         return res.status(400).json({ message: "Invalid credentials" })
       }
 
+      if (user.isLocked()) {
+        return sendAccountLocked(res, user.loginSecurity.lockUntil)
+      }
+
       // Check password
       const isMatch = await user.comparePassword(password)
       if (!isMatch) {
+        const lockUntil = await handleFailedLogin(user)
+        if (lockUntil) {
+          return sendAccountLocked(res, lockUntil)
+        }
         return res.status(400).json({ message: "Invalid credentials" })
       }
 
-      // Generate token
-      const token = generateToken(user._id)
+      // With 2FA enabled, the password only earns a short-lived challenge token. Failures are
+      // cleared once the second factor passes too, so code guesses keep counting towards a lock.
+      if (user.twoFactor?.enabled) {
+        return res.json({
+          success: true,
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user),
+        })
+      }
+
+      await clearLoginFailures(user)
+
+      // Start a session and issue the token pair
+      const { token, refreshToken } = await createSession(user, req)
+
+      res.json({
+        success: true,
+        token,
+        refreshToken,
+        twoFactorSetupRequired: user.requiresTwoFactor(),
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+        },
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @route   POST /api/auth/login/2fa
+// @desc    Complete login with a TOTP or recovery code
+// @access  Public
+router.post(
+  "/login/2fa",
+  twoFactorLimiter,
+  [
+    body("challengeToken").isString().withMessage("Challenge token is required"),
+    body().custom((value) => {
+      if (!value.code && !value.recoveryCode) {
+        throw new Error("A two-factor code or recovery code is required")
+      }
+      return true
+    }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const { challengeToken, code, recoveryCode } = req.body
+
+      let decoded
+      try {
+        decoded = jwt.verify(challengeToken, process.env.JWT_SECRET)
+      } catch (error) {
+        return res.status(401).json({ message: "Challenge has expired, please log in again" })
+      }
+
+      if (decoded.purpose !== "2fa-challenge") {
+        return res.status(401).json({ message: "Challenge has expired, please log in again" })
+      }
+
+      const user = await User.findById(decoded.id).select(TWO_FACTOR_FIELDS)
+      if (!user || !user.twoFactor?.enabled) {
+        return res.status(401).json({ message: "Challenge has expired, please log in again" })
+      }
+
+      if (user.isLocked()) {
+        return sendAccountLocked(res, user.loginSecurity.lockUntil)
+      }
+
+      if (!verifySecondFactor(user, { code, recoveryCode })) {
+        const lockUntil = await handleFailedLogin(user)
+        if (lockUntil) {
+          return sendAccountLocked(res, lockUntil)
+        }
+        return res.status(400).json({ message: "Invalid two-factor code" })
+      }
+
+      await user.save()
+      await clearLoginFailures(user)
+
+      const { token, refreshToken } = await createSession(user, req)
 
       res.json({
         success: true,
         token,
+        refreshToken,
+        recoveryCodesRemaining: user.twoFactor.recoveryCodes.filter((item) => !item.usedAt).length,
         user: {
           id: user._id,
           name: user.name,
@@ -117,6 +346,362 @@ router.post(
   },
 )
 
+// @route   GET /api/auth/oidc/providers
+// @desc    List configured external identity providers
+// @access  Public
+router.get("/oidc/providers", (req, res) => {
+  const providers = [...getProviders().values()].map((provider) => ({ id: provider.id, name: provider.name }))
+
+  res.json({
+    success: true,
+    data: providers,
+  })
+})
+
+// @route   GET /api/auth/oidc/:provider/authorize
+// @desc    Start an OIDC login and return the provider authorization URL
+// @access  Public
+router.get("/oidc/:provider/authorize", async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider)
+    if (!provider) {
+      return res.status(404).json({ message: "Identity provider not found" })
+    }
+
+    const { authorizationUrl, state, nonce, codeVerifier, redirectUri } = await createAuthorizationRequest(provider)
+
+    await OidcLoginRequest.create({ state, provider: provider.id, nonce, codeVerifier, redirectUri })
+
+    res.json({
+      success: true,
+      data: { authorizationUrl },
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST /api/auth/oidc/:provider/callback
+// @desc    Complete an OIDC login with the code and state the provider redirected back with
+// @access  Public
+router.post(
+  "/oidc/:provider/callback",
+  oidcCallbackLimiter,
+  [
+    body("code").isString().withMessage("Authorization code is required"),
+    body("state").isString().withMessage("State is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const provider = getProvider(req.params.provider)
+      if (!provider) {
+        return res.status(404).json({ message: "Identity provider not found" })
+      }
+
+      // Each login request can be used exactly once
+      const loginRequest = await OidcLoginRequest.findOneAndDelete({
+        state: req.body.state,
+        provider: provider.id,
+        expiresAt: { $gt: new Date() },
+      })
+
+      if (!loginRequest) {
+        return res.status(400).json({ message: "Login request has expired, please try again" })
+      }
+
+      let claims
+      try {
+        const tokens = await exchangeCode(provider, {
+          code: req.body.code,
+          codeVerifier: loginRequest.codeVerifier,
+          redirectUri: loginRequest.redirectUri,
+        })
+        claims = await verifyIdToken(provider, tokens.id_token, loginRequest.nonce)
+      } catch (error) {
+        console.error(error)
+        return res.status(401).json({ message: "Could not verify sign-in with the identity provider" })
+      }
+
+      const { user, error, linked, created } = await resolveOidcUser(provider, claims)
+      if (error) {
+        return res.status(403).json({ message: error })
+      }
+
+      if (user.isLocked()) {
+        return sendAccountLocked(res, user.loginSecurity.lockUntil)
+      }
+
+      if (user.twoFactor?.enabled) {
+        return res.json({
+          success: true,
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user),
+        })
+      }
+
+      const { token, refreshToken } = await createSession(user, req)
+
+      res.status(created ? 201 : 200).json({
+        success: true,
+        token,
+        refreshToken,
+        accountLinked: Boolean(linked),
+        twoFactorSetupRequired: user.requiresTwoFactor(),
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+        },
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post(
+  "/refresh",
+  [body("refreshToken").isString().withMessage("Refresh token is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const rotated = await rotateSession(req.body.refreshToken, req)
+      if (!rotated) {
+        return res.status(401).json({ message: "Invalid or expired refresh token" })
+      }
+
+      res.json({
+        success: true,
+        token: rotated.token,
+        refreshToken: rotated.refreshToken,
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current session, or every session with allDevices
+// @access  Private
+router.post("/logout", auth, async (req, res) => {
+  try {
+    if (req.body.allDevices === true) {
+      await revokeUserSessions(req.user._id, "logout")
+    } else {
+      await revokeSession(req.authSession._id, "logout")
+    }
+
+    res.json({
+      success: true,
+      message: "Logged out successfully",
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions for the current user
+// @access  Private
+router.get("/sessions", auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 })
+
+    res.json({
+      success: true,
+      data: sessions.map((session) => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: Boolean(req.authSession?._id.equals(session._id)),
+      })),
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete("/sessions/:id", auth, async (req, res) => {
+  try {
+    const { id } = req.params
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: "Session not found" })
+    }
+
+    const session = await Session.findOne({ _id: id, user: req.user._id, revokedAt: { $exists: false } })
+    if (!session) {
+      return res.status(404).json({ message: "Session not found" })
+    }
+
+    await revokeSession(session._id, "user-revoked")
+
+    res.json({
+      success: true,
+      message: "Session revoked successfully",
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST /api/auth/2fa/enroll
+// @desc    Start two-factor enrollment and return a new TOTP secret
+// @access  Private
+router.post("/2fa/enroll", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" })
+    }
+
+    const secret = generateSecret()
+    user.twoFactor.pendingSecret = secret
+    await user.save()
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl: buildOtpauthUrl(secret, user.email),
+      },
+      message: "Scan the secret with your authenticator app, then confirm with a code",
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST /api/auth/2fa/confirm
+// @desc    Confirm enrollment with a TOTP code and receive recovery codes
+// @access  Private
+router.post(
+  "/2fa/confirm",
+  auth,
+  [body("code").matches(/^\d{6}$/).withMessage("A 6-digit code is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const user = await User.findById(req.user.id).select(`+twoFactor.pendingSecret ${TWO_FACTOR_FIELDS}`)
+
+      if (user.twoFactor?.enabled) {
+        return res.status(400).json({ message: "Two-factor authentication is already enabled" })
+      }
+
+      if (!user.twoFactor?.pendingSecret) {
+        return res.status(400).json({ message: "Start enrollment before confirming" })
+      }
+
+      const step = verifyCode(user.twoFactor.pendingSecret, req.body.code)
+      if (step === null) {
+        return res.status(400).json({ message: "Invalid two-factor code" })
+      }
+
+      user.twoFactor.secret = user.twoFactor.pendingSecret
+      user.twoFactor.pendingSecret = undefined
+      user.twoFactor.lastUsedStep = step
+      user.twoFactor.enabled = true
+      user.twoFactor.enabledAt = new Date()
+      const recoveryCodes = issueRecoveryCodes(user)
+      await user.save()
+
+      res.json({
+        success: true,
+        data: { recoveryCodes },
+        message: "Two-factor authentication enabled. Store these recovery codes somewhere safe.",
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor authentication
+// @access  Private
+router.post(
+  "/2fa/disable",
+  auth,
+  [body("password").if(body("reauthCode").not().exists()).exists().withMessage("Password is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const { password, reauthCode, code, recoveryCode } = req.body
+      const user = await User.findById(req.user.id).select(`+password ${TWO_FACTOR_FIELDS}`)
+
+      if (!user.twoFactor?.enabled) {
+        return res.status(400).json({ message: "Two-factor authentication is not enabled" })
+      }
+
+      if (user.requiresTwoFactor()) {
+        return res.status(403).json({ message: "Two-factor authentication is required for admin accounts" })
+      }
+
+      const isMatch = await user.confirmPassword(password, reauthCode)
+      if (!isMatch) {
+        const message = user.password ? "Password is incorrect" : "Confirmation code is invalid or has expired"
+        return res.status(400).json({ message })
+      }
+
+      if (!verifySecondFactor(user, { code, recoveryCode })) {
+        return res.status(400).json({ message: "Invalid two-factor code" })
+      }
+
+      user.twoFactor = { enabled: false }
+      await user.save()
+
+      res.json({
+        success: true,
+        message: "Two-factor authentication disabled",
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
@@ -174,6 +759,8 @@ router.put("/profile", auth, async (req, res) => {
 // @access  Public
 router.post(
   "/forgot-password",
+  passwordResetLimiter,
+  passwordResetAccountLimiter,
   [body("email").isEmail().withMessage("Please enter a valid email")],
   async (req, res) => {
     try {
@@ -196,12 +783,11 @@ router.post(
       user.passwordResetExpires = Date.now() + 3600000 // 1 hour
       await user.save()
 
-      // In a real app, you would send an email here
-      // For now, we'll just return the token (remove this in production)
+      await sendTemplate("passwordReset", user.email, { user, token: resetToken })
+
       res.json({
         success: true,
         message: "Password reset instructions sent to your email",
-        resetToken, // Remove this in production
       })
     } catch (error) {
       console.error(error)
@@ -215,6 +801,7 @@ router.post(
 // @access  Public
 router.post(
   "/reset-password",
+  passwordResetLimiter,
   [
     body("token").exists().withMessage("Reset token is required"),
     body("password").isLength({ min: 6 }).withMessage("New password must be at least 6 characters"),
@@ -229,7 +816,13 @@ router.post(
       const { token, password } = req.body
 
       // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET)
+      let decoded
+      try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET)
+      } catch (error) {
+        return res.status(400).json({ message: "Invalid or expired reset token" })
+      }
+
       const user = await User.findOne({
         _id: decoded.id,
         passwordResetToken: token,
@@ -244,8 +837,14 @@ router.post(
       user.password = password
       user.passwordResetToken = undefined
       user.passwordResetExpires = undefined
+      // Proving control of the mailbox lifts any lockout
+      user.loginSecurity = { failedAttempts: 0, lockCount: 0 }
       await user.save()
 
+      // A reset means the password may be compromised, so sign out everywhere
+      await revokeUserSessions(user._id, "password-reset")
+      await revokeUserApiKeys(user._id)
+
       res.json({
         success: true,
         message: "Password reset successfully",
@@ -257,6 +856,37 @@ router.post(
   },
 )
 
+// @route   POST /api/auth/reauth-code
+// @desc    Email a one-time code that confirms sensitive changes on an account without a password
+// @access  Private
+router.post("/reauth-code", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("+password")
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    if (user.password) {
+      return res.status(400).json({ message: "Confirm changes with your password instead" })
+    }
+
+    if (user.reauthentication?.issuedAt > new Date(Date.now() - 60 * 1000)) {
+      return res.status(429).json({ message: "A code was just sent, please wait a minute before asking again" })
+    }
+
+    const code = await user.issueReauthCode()
+    await sendTemplate("reauthCode", user.email, { user, code })
+
+    res.json({
+      success: true,
+      message: `Confirmation code sent to ${user.email}`,
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
 // @route   POST /api/auth/change-password
 // @desc    Change password for authenticated user
 // @access  Private
@@ -264,7 +894,7 @@ router.post(
   "/change-password",
   auth,
   [
-    body("currentPassword").exists().withMessage("Current password is required"),
+    body("currentPassword").if(body("reauthCode").not().exists()).exists().withMessage("Current password is required"),
     body("newPassword").isLength({ min: 6 }).withMessage("New password must be at least 6 characters"),
   ],
   async (req, res) => {
@@ -274,23 +904,29 @@ router.post(
         return res.status(400).json({ errors: errors.array() })
       }
 
-      const { currentPassword, newPassword } = req.body
+      const { currentPassword, reauthCode, newPassword } = req.body
       const user = await User.findById(req.user.id).select("+password")
 
       if (!user) {
         return res.status(404).json({ message: "User not found" })
       }
 
-      // Check current password
-      const isMatch = await user.comparePassword(currentPassword)
+      // Check current password (accounts created through an identity provider confirm with an
+      // emailed code to set their first one)
+      const isMatch = await user.confirmPassword(currentPassword, reauthCode)
       if (!isMatch) {
-        return res.status(400).json({ message: "Current password is incorrect" })
+        const message = user.password ? "Current password is incorrect" : "Confirmation code is invalid or has expired"
+        return res.status(400).json({ message })
       }
 
       // Update password
       user.password = newPassword
       await user.save()
 
+      // Keep this device signed in but log out every other session
+      await revokeUserSessions(user._id, "password-change", req.authSession._id)
+      await revokeUserApiKeys(user._id)
+
       res.json({
         success: true,
         message: "Password changed successfully",
@@ -302,6 +938,120 @@ router.post(
   },
 )
 
+// @route   POST /api/auth/change-email
+// @desc    Request an email change; the new address must be confirmed before it takes effect
+// @access  Private
+router.post(
+  "/change-email",
+  auth,
+  [body("newEmail").trim().toLowerCase().isEmail().withMessage("Please enter a valid email")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const { newEmail, password, reauthCode } = req.body
+      const user = await User.findById(req.user.id).select("+password")
+
+      if (!user) {
+        return res.status(404).json({ message: "User not found" })
+      }
+
+      const isMatch = await user.confirmPassword(password, reauthCode)
+      if (!isMatch) {
+        const message = user.password ? "Password is incorrect" : "Confirmation code is invalid or has expired"
+        return res.status(400).json({ message })
+      }
+
+      if (newEmail === user.email) {
+        return res.status(400).json({ message: "New email must be different from your current email" })
+      }
+
+      const existingUser = await User.findOne({ email: newEmail })
+      if (existingUser) {
+        return res.status(400).json({ message: "User already exists with this email" })
+      }
+
+      const token = crypto.randomBytes(32).toString("hex")
+      user.pendingEmail = {
+        address: newEmail,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
+      }
+      await user.save()
+
+      await sendTemplate("emailChangeConfirm", newEmail, { user, token })
+      notify("emailChangeNotice", user.email, { user, newEmail })
+
+      res.json({
+        success: true,
+        message: `Confirmation sent to ${newEmail}`,
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @route   POST /api/auth/confirm-email-change
+// @desc    Confirm a pending email change
+// @access  Public
+router.post(
+  "/confirm-email-change",
+  [body("token").isString().withMessage("Confirmation token is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const user = await User.findOne({
+        "pendingEmail.tokenHash": hashToken(req.body.token),
+        "pendingEmail.expiresAt": { $gt: new Date() },
+      })
+
+      if (!user) {
+        return res.status(400).json({ message: "Invalid or expired confirmation token" })
+      }
+
+      // The address may have been taken since the change was requested
+      const existingUser = await User.findOne({ email: user.pendingEmail.address, _id: { $ne: user._id } })
+      if (existingUser) {
+        user.pendingEmail = undefined
+        await user.save()
+        return res.status(400).json({ message: "User already exists with this email" })
+      }
+
+      user.email = user.pendingEmail.address
+      user.isEmailVerified = true
+      user.emailVerificationToken = undefined
+      user.pendingEmail = undefined
+      try {
+        await user.save()
+      } catch (error) {
+        // Someone registered the address between the check above and the save
+        if (error.code === 11000) {
+          await User.updateOne({ _id: user._id }, { $unset: { pendingEmail: 1 } })
+          return res.status(400).json({ message: "User already exists with this email" })
+        }
+        throw error
+      }
+
+      res.json({
+        success: true,
+        message: "Email changed successfully",
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
 // @route   POST /api/auth/verify-email
 // @desc    Verify email address
 // @access  Public
@@ -359,11 +1109,11 @@ router.post("/resend-verification", auth, async (req, res) => {
     user.emailVerificationToken = verificationToken
     await user.save()
 
-    // In a real app, you would send an email here
+    await sendTemplate("emailVerification", user.email, { user, token: verificationToken })
+
     res.json({
       success: true,
       message: "Verification email sent",
-      verificationToken, // Remove this in production
     })
   } catch (error) {
     console.error(error)
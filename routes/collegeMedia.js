@@ -0,0 +1,343 @@
+const express = require("express")
+const multer = require("multer")
+const { body, param, validationResult } = require("express-validator")
+const College = require("../models/College")
+const { requirePermission, scopeFromParam } = require("../middleware/auth")
+const { recordAudit } = require("../utils/auditLog")
+const { currentRevision, revisionEtag, revisionFilter, recordRevision } = require("../utils/collegeRevisions")
+const { sniffMediaType } = require("../utils/fileType")
+const { readImageSize, storeMedia, removeMedia } = require("../utils/mediaStorage")
+
+// Mounted at /api/colleges/:id/media
+const router = express.Router({ mergeParams: true })
+
+const MEDIA_FIELDS = { image: "images", video: "videos" }
+
+const collegeIdValidation = param("id").isMongoId().withMessage("Invalid college ID")
+
+const MAX_FILE_SIZE = {
+  image: 10 * 1024 * 1024, // 10MB
+  video: 50 * 1024 * 1024, // 50MB
+}
+
+// Files are sniffed and processed in memory before anything is written to storage
+const mediaUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE.video, files: 1 },
+})
+
+const uploadMediaFile = (req, res, next) => {
+  mediaUpload.single("file")(req, res, (error) => {
+    if (error) {
+      const status = error.code === "LIMIT_FILE_SIZE" ? 413 : 400
+      return res.status(status).json({ message: error.message })
+    }
+    next()
+  })
+}
+
+// Find an image or video by id, with the field it lives in
+const findMedia = (college, mediaId) => {
+  for (const [kind, field] of Object.entries(MEDIA_FIELDS)) {
+    const item = college[field].id(mediaId)
+    if (item) return { kind, field, item }
+  }
+  return null
+}
+
+const setMain = (college, field, mediaId) => {
+  college[field].forEach((item) => {
+    item.isMain = item._id.equals(mediaId)
+  })
+}
+
+// Media changes go live immediately, so each one is a new revision of the college. Like PUT, the
+// write only lands if nobody changed the college since it was loaded; returns null if someone did.
+const saveMediaChange = async (req, college, before, action, metadata) => {
+  const { images, videos } = college.toObject({ depopulate: true })
+  const saved = await College.findOneAndUpdate(
+    { _id: college._id, ...revisionFilter(currentRevision(college)) },
+    { $set: { images, videos }, $inc: { revision: 1 } },
+    { new: true, runValidators: true },
+  )
+  if (!saved) return null
+
+  await recordRevision(req.user, saved, { action: "media", before })
+  await recordAudit(req, {
+    action: `college.media.${action}`,
+    entityType: "College",
+    entityId: college._id,
+    before,
+    after: saved,
+    metadata,
+  })
+  return saved
+}
+
+const mediaConflict = async (res, collegeId) => {
+  const current = (await College.findById(collegeId).select("revision")) || {}
+  return res
+    .status(409)
+    .set("ETag", revisionEtag(current))
+    .json({
+      message: "This college was changed by someone else. Reload it and try again.",
+      currentRevision: currentRevision(current),
+    })
+}
+
+// @route   POST /api/colleges/:id/media
+// @desc    Upload an image or video (multipart field "file"). The type is detected from the
+//          file's contents; thumbnails are generated. The first upload of each kind is main.
+// @access  Private (colleges:media)
+router.post(
+  "/",
+  requirePermission("colleges:media", scopeFromParam()),
+  uploadMediaFile,
+  [
+    collegeIdValidation,
+    body("caption").optional().trim().isLength({ max: 300 }).withMessage("Caption cannot exceed 300 characters"),
+    body("isMain").optional().isBoolean().withMessage("isMain must be true or false").toBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const college = await College.findById(req.params.id)
+      if (!college) {
+        return res.status(404).json({ message: "College not found" })
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ message: "Choose a file to upload" })
+      }
+
+      const type = sniffMediaType(req.file.buffer)
+      if (!type) {
+        return res.status(415).json({
+          message: "Only JPEG, PNG, GIF and WebP images and MP4, MOV and WebM videos are supported",
+        })
+      }
+      if (req.file.size > MAX_FILE_SIZE[type.kind]) {
+        return res.status(413).json({
+          message: `${type.kind === "image" ? "Images" : "Videos"} can be at most ${MAX_FILE_SIZE[type.kind] / 1024 / 1024}MB`,
+        })
+      }
+      if (type.kind === "image" && !(await readImageSize(req.file.buffer))) {
+        return res.status(400).json({ message: "This file could not be read as an image" })
+      }
+
+      const field = MEDIA_FIELDS[type.kind]
+      const before = college.toObject()
+      const stored = await storeMedia(req.file.buffer, { folder: `colleges/${college._id}`, type })
+
+      const media = college[field].create({
+        ...stored,
+        caption: req.body.caption,
+        uploadedBy: req.user._id,
+        uploadedAt: new Date(),
+      })
+      college[field].push(media)
+      if (college[field].length === 1 || req.body.isMain === true) {
+        setMain(college, field, media._id)
+      }
+
+      let saved
+      try {
+        saved = await saveMediaChange(req, college, before, "upload", { mediaId: media._id, kind: type.kind })
+      } catch (error) {
+        // Don't leave orphaned files behind
+        await removeMedia(stored, type.kind).catch(() => {})
+        throw error
+      }
+      if (!saved) {
+        await removeMedia(stored, type.kind).catch(() => {})
+        return mediaConflict(res, college._id)
+      }
+
+      res.status(201).json({
+        success: true,
+        data: saved[field].id(media._id),
+        message: `${type.kind === "image" ? "Image" : "Video"} uploaded successfully`,
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @route   PUT /api/colleges/:id/media/order
+// @desc    Reorder images and/or videos. Each list must contain every id of its kind exactly once.
+// @access  Private (colleges:media)
+router.put(
+  "/order",
+  requirePermission("colleges:media", scopeFromParam()),
+  [
+    collegeIdValidation,
+    body("images").optional().isArray().withMessage("Images must be a list of ids"),
+    body("images.*").isMongoId().withMessage("Invalid image ID"),
+    body("videos").optional().isArray().withMessage("Videos must be a list of ids"),
+    body("videos.*").isMongoId().withMessage("Invalid video ID"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const college = await College.findById(req.params.id)
+      if (!college) {
+        return res.status(404).json({ message: "College not found" })
+      }
+
+      const fields = Object.values(MEDIA_FIELDS).filter((field) => req.body[field])
+      if (fields.length === 0) {
+        return res.status(400).json({ message: "Send the new order of images or videos" })
+      }
+
+      for (const field of fields) {
+        const ids = req.body[field]
+        const current = college[field].map((item) => item._id.toString())
+        if (
+          ids.length !== current.length ||
+          new Set(ids).size !== ids.length ||
+          ids.some((id) => !current.includes(id))
+        ) {
+          return res.status(400).json({ message: `The ${field} order must list each of the college's ${field} once` })
+        }
+      }
+
+      const before = college.toObject()
+      fields.forEach((field) => {
+        college[field] = req.body[field].map((id) => college[field].id(id).toObject())
+      })
+
+      const saved = await saveMediaChange(req, college, before, "reorder")
+      if (!saved) {
+        return mediaConflict(res, college._id)
+      }
+
+      res.json({
+        success: true,
+        data: { images: saved.images, videos: saved.videos },
+        message: "Media reordered successfully",
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @route   PATCH /api/colleges/:id/media/:mediaId
+// @desc    Update an image or video's caption, or make it the main one
+// @access  Private (colleges:media)
+router.patch(
+  "/:mediaId",
+  requirePermission("colleges:media", scopeFromParam()),
+  [
+    collegeIdValidation,
+    param("mediaId").isMongoId().withMessage("Invalid media ID"),
+    body("caption").optional().trim().isLength({ max: 300 }).withMessage("Caption cannot exceed 300 characters"),
+    body("isMain").optional().isBoolean().withMessage("isMain must be true or false").toBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const college = await College.findById(req.params.id)
+      if (!college) {
+        return res.status(404).json({ message: "College not found" })
+      }
+
+      const media = findMedia(college, req.params.mediaId)
+      if (!media) {
+        return res.status(404).json({ message: "Media not found" })
+      }
+
+      const before = college.toObject()
+      if (req.body.caption !== undefined) media.item.caption = req.body.caption
+      if (req.body.isMain === true) setMain(college, media.field, media.item._id)
+      if (req.body.isMain === false) media.item.isMain = false
+
+      const saved = await saveMediaChange(req, college, before, "update", { mediaId: media.item._id })
+      if (!saved) {
+        return mediaConflict(res, college._id)
+      }
+
+      res.json({
+        success: true,
+        data: saved[media.field].id(media.item._id),
+        message: "Media updated successfully",
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @route   DELETE /api/colleges/:id/media/:mediaId
+// @desc    Delete an image or video and its stored files
+// @access  Private (colleges:media)
+router.delete(
+  "/:mediaId",
+  requirePermission("colleges:media", scopeFromParam()),
+  [collegeIdValidation, param("mediaId").isMongoId().withMessage("Invalid media ID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const college = await College.findById(req.params.id)
+      if (!college) {
+        return res.status(404).json({ message: "College not found" })
+      }
+
+      const media = findMedia(college, req.params.mediaId)
+      if (!media) {
+        return res.status(404).json({ message: "Media not found" })
+      }
+
+      const before = college.toObject()
+      const removed = media.item.toObject()
+      college[media.field].pull(removed._id)
+
+      // Keep a main image (or video) while there are any left
+      if (removed.isMain && college[media.field].length > 0) {
+        setMain(college, media.field, college[media.field][0]._id)
+      }
+
+      const saved = await saveMediaChange(req, college, before, "delete", { mediaId: removed._id, kind: media.kind })
+      if (!saved) {
+        return mediaConflict(res, college._id)
+      }
+
+      // Files go only once nothing references them; a failure leaves an orphan, not a broken link
+      try {
+        await removeMedia(removed, media.kind)
+      } catch (error) {
+        console.error(`Failed to delete stored media ${removed.storage?.key}:`, error)
+      }
+
+      res.json({
+        success: true,
+        message: "Media deleted successfully",
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+module.exports = router
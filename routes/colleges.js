@@ -1,16 +1,193 @@
 const express = require("express")
-const { body, query, validationResult } = require("express-validator")
+const mongoose = require("mongoose")
+const { body, param, query, validationResult } = require("express-validator")
 const College = require("../models/College")
+const CollegeRevision = require("../models/CollegeRevision")
 const Review = require("../models/Review")
-const { auth, adminAuth } = require("../middleware/auth")
+const { auth, requirePermission, scopeFromParam } = require("../middleware/auth")
+const { hasPermission } = require("../utils/permissions")
+const { recordAudit, diffSnapshots } = require("../utils/auditLog")
+const { buildCalendar, collegeDeadlineEntries } = require("../utils/icalendar")
+const { escapeRegex, sanitizeTextSearch, searchTerms, highlight, fuzzyMatch } = require("../utils/search")
+const { parseLatLng, parseBounds, boundsFilter, radiusFilter, distanceExpression } = require("../utils/geo")
+const { buildComparison } = require("../utils/collegeComparison")
+const { HOUSING_OPTIONS, INCOME_BANDS, estimateCost } = require("../utils/costEstimate")
+const { ADMISSION_CHANCE_FIELDS, classifyAdmission } = require("../utils/admissionChances")
+const { isSlugAvailable, previousSlugsAfterRename } = require("../utils/slugify")
+const { PROGRAM_COLLEGE_FIELDS, programDetails, findCollegeProgram } = require("../utils/programs")
+const {
+  currentRevision,
+  revisionEtag,
+  expectedRevision,
+  revisionFilter,
+  recordRevision,
+  rollbackUpdate,
+} = require("../utils/collegeRevisions")
+const {
+  PUBLISHED_FILTER,
+  splitEdits,
+  previewCollege,
+  stagedChanges,
+  hasStagedChanges,
+  publishDraft,
+} = require("../utils/collegeDrafts")
 
 const router = express.Router()
 
+const revisionConflict = (res, college) => {
+  return res
+    .status(409)
+    .set("ETag", revisionEtag(college))
+    .json({
+      message: "This college was changed by someone else. Reload it and reapply your edits.",
+      currentRevision: currentRevision(college),
+    })
+}
+
+// Permanent redirect for a lookup by a slug the college used before it was renamed
+const redirectToSlug = (req, res, slug, suffix = "") => {
+  const location = `${req.baseUrl}/${slug}${suffix}`
+  return res.status(301).location(location).json({
+    success: true,
+    redirect: true,
+    slug,
+    location,
+    message: "This college has moved to a new address",
+  })
+}
+
+const costEstimateValidation = [
+  body("residency.state").optional().isString().trim().isLength({ max: 50 }).withMessage("Invalid state"),
+  body("residency.country").optional().isString().trim().isLength({ max: 60 }).withMessage("Invalid country"),
+  body("housing")
+    .optional()
+    .isIn(HOUSING_OPTIONS)
+    .withMessage(`Housing must be one of: ${HOUSING_OPTIONS.join(", ")}`),
+  body("durationYears").optional().isInt({ min: 1, max: 8 }).withMessage("Duration must be 1-8 years").toInt(),
+  body("incomeBand")
+    .optional()
+    .isIn(INCOME_BANDS)
+    .withMessage(`Income band must be one of: ${INCOME_BANDS.join(", ")}`),
+  body("annualIncreasePct")
+    .optional()
+    .isFloat({ min: 0, max: 15 })
+    .withMessage("Annual increase must be 0-15%")
+    .toFloat(),
+]
+
+const collegeIdValidation = [param("id").isMongoId().withMessage("Invalid college ID")]
+
+const collegeSearchValidation = [
+  query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer").toInt(),
+  query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100").toInt(),
+]
+
+const COST_ESTIMATE_FIELDS = "name slug location costs financialAid admissions.applicationFee"
+
+// Names change rarely, so typo-tolerant suggestions match against a short-lived in-memory list
+const SUGGESTION_CACHE_TTL = 5 * 60 * 1000
+let suggestionCache = { loadedAt: 0, colleges: [] }
+
+const loadSuggestionCandidates = async () => {
+  if (Date.now() - suggestionCache.loadedAt > SUGGESTION_CACHE_TTL) {
+    const colleges = await College.find(PUBLISHED_FILTER, "name location.city location.state slug").lean()
+    suggestionCache = { loadedAt: Date.now(), colleges }
+  }
+  return suggestionCache.colleges
+}
+
+// Lower bounds of the tuition facet buckets; the last bucket is open-ended
+const TUITION_BUCKETS = [0, 10000, 20000, 30000, 40000, 50000, 60000, Number.MAX_SAFE_INTEGER]
+// Rating facet counts colleges rated at least this much, matching the minRating filter
+const RATING_THRESHOLDS = [4, 3, 2, 1]
+
+// The only fields the facet counts and their filters look at
+const FACET_FIELDS = {
+  type: 1,
+  size: 1,
+  "location.state": 1,
+  "academics.programs.degree": 1,
+  "costs.tuition.outOfState": 1,
+  "reviews.averageRating": 1,
+}
+
+const combineFilters = (filters, except) => {
+  const clauses = Object.entries(filters)
+    .filter(([name]) => name !== except)
+    .map(([, clause]) => clause)
+  return clauses.length ? { $and: clauses } : {}
+}
+
+// Facet counts for the current query. Each facet ignores its own filter, so the frontend can
+// show the alternatives to an option that is already selected.
+const facetPipelines = (filters) => {
+  const countBy = (name, field) => [
+    { $match: combineFilters(filters, name) },
+    { $group: { _id: field, count: { $sum: 1 } } },
+    { $match: { _id: { $ne: null } } },
+    { $sort: { count: -1, _id: 1 } },
+  ]
+
+  return {
+    types: countBy("type", "$type"),
+    sizes: countBy("size", "$size"),
+    states: countBy("state", "$location.state"),
+    degreeLevels: [
+      { $match: combineFilters(filters, "degreeLevel") },
+      { $project: { degrees: { $setUnion: [{ $ifNull: ["$academics.programs.degree", []] }, []] } } },
+      { $unwind: "$degrees" },
+      { $group: { _id: "$degrees", count: { $sum: 1 } } },
+      { $match: { _id: { $ne: null } } },
+      { $sort: { count: -1, _id: 1 } },
+    ],
+    tuition: [
+      { $match: combineFilters(filters, "tuition") },
+      { $match: { "costs.tuition.outOfState": { $type: "number" } } },
+      { $bucket: { groupBy: "$costs.tuition.outOfState", boundaries: TUITION_BUCKETS, default: "other" } },
+      { $match: { _id: { $ne: "other" } } },
+    ],
+    tuitionRange: [
+      { $match: combineFilters(filters, "tuition") },
+      { $group: { _id: null, min: { $min: "$costs.tuition.outOfState" }, max: { $max: "$costs.tuition.outOfState" } } },
+    ],
+    ratings: [
+      { $match: combineFilters(filters, "rating") },
+      {
+        $group: {
+          _id: null,
+          ...Object.fromEntries(
+            RATING_THRESHOLDS.map((min) => [
+              `atLeast${min}`,
+              { $sum: { $cond: [{ $gte: ["$reviews.averageRating", min] }, 1, 0] } },
+            ]),
+          ),
+        },
+      },
+    ],
+  }
+}
+
+// Highlighted snippets showing why a college matched the search
+const buildHighlights = (college, terms) => {
+  const programs = (college.academics?.programs || []).map((program) => highlight(program.name, terms)).filter(Boolean)
+
+  return {
+    name: highlight(college.name, terms),
+    description: highlight(college.description, terms),
+    programs,
+  }
+}
+
 // @route   GET /api/colleges
 // @desc    Get all colleges with search, filter, and pagination
 // @access  Public
-router.get("/", async (req, res) => {
+router.get("/", collegeSearchValidation, async (req, res) => {
   try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
     const {
       page = 1,
       limit = 12,
@@ -21,94 +198,154 @@ router.get("/", async (req, res) => {
       minTuition,
       maxTuition,
       minRating,
-      sortBy = "name",
+      degreeLevel,
+      sortBy,
       sortOrder = "asc",
       featured,
     } = req.query
 
-    // Build query object
-    const query = { isActive: true }
+    // Base query: everything except the faceted filters below
+    const query = { ...PUBLISHED_FILTER }
 
-    // Search functionality
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: "i" } },
-        { description: { $regex: search, $options: "i" } },
-        { "location.city": { $regex: search, $options: "i" } },
-        { "location.state": { $regex: search, $options: "i" } },
-        { "academics.programs.name": { $regex: search, $options: "i" } },
-      ]
+    // Full-text search on the weighted text index
+    const searchText = sanitizeTextSearch(search)
+    if (searchText) {
+      query.$text = { $search: searchText }
     }
 
-    // Filter by type
+    // Filter featured colleges
+    if (featured === "true") {
+      query.featured = true
+    }
+
+    // Geo filters: a radius around near=lat,lng and/or a map viewport bbox=south,west,north,east
+    const near = req.query.near ? parseLatLng(req.query.near) : null
+    if (req.query.near && !near) {
+      return res.status(400).json({ message: "near must be given as latitude,longitude" })
+    }
+
+    const radiusKm = req.query.radiusKm ? Number.parseFloat(req.query.radiusKm) : 50
+    if (!(radiusKm > 0 && radiusKm <= 1000)) {
+      return res.status(400).json({ message: "radiusKm must be between 0 and 1000" })
+    }
+
+    const bounds = req.query.bbox ? parseBounds(req.query.bbox) : null
+    if (req.query.bbox && !bounds) {
+      return res.status(400).json({ message: "bbox must be given as south,west,north,east" })
+    }
+
+    const geoFilters = []
+    if (near) geoFilters.push(radiusFilter(near, radiusKm))
+    if (bounds) geoFilters.push(boundsFilter(bounds))
+    if (geoFilters.length === 1) {
+      query["location.coordinates"] = geoFilters[0]
+    } else if (geoFilters.length === 2) {
+      query.$and = geoFilters.map((filter) => ({ "location.coordinates": filter }))
+    }
+
+    // Faceted filters, kept apart so each facet can be counted without its own filter
+    const filters = {}
+
     if (type && type !== "all") {
-      query.type = type
+      filters.type = { type }
     }
 
-    // Filter by size
     if (size && size !== "all") {
-      query.size = size
+      filters.size = { size }
     }
 
-    // Filter by state
     if (state && state !== "all") {
-      query["location.state"] = state
+      filters.state = { "location.state": state }
     }
 
-    // Filter by tuition range
-    if (minTuition || maxTuition) {
-      query["costs.tuition.outOfState"] = {}
-      if (minTuition) query["costs.tuition.outOfState"].$gte = Number.parseInt(minTuition)
-      if (maxTuition) query["costs.tuition.outOfState"].$lte = Number.parseInt(maxTuition)
+    if (degreeLevel && degreeLevel !== "all") {
+      filters.degreeLevel = { "academics.programs.degree": degreeLevel }
     }
 
-    // Filter by rating
-    if (minRating) {
-      query["reviews.averageRating"] = { $gte: Number.parseFloat(minRating) }
+    if (minTuition || maxTuition) {
+      const tuition = {}
+      if (minTuition) tuition.$gte = Number.parseInt(minTuition)
+      if (maxTuition) tuition.$lte = Number.parseInt(maxTuition)
+      filters.tuition = { "costs.tuition.outOfState": tuition }
     }
 
-    // Filter featured colleges
-    if (featured === "true") {
-      query.featured = true
+    if (minRating) {
+      filters.rating = { "reviews.averageRating": { $gte: Number.parseFloat(minRating) } }
     }
 
-    // Build sort object
+    // Build sort object; searches default to relevance, "near" queries to distance
+    const sortKey = sortBy || (searchText ? "relevance" : near ? "distance" : "name")
     const sort = {}
-    if (sortBy === "rating") {
+    if (sortKey === "relevance" && searchText) {
+      sort.score = -1
+    } else if (sortKey === "distance" && near) {
+      sort.distance = sortOrder === "desc" ? -1 : 1
+    } else if (sortKey === "relevance" || sortKey === "distance") {
+      sort.name = 1
+    } else if (sortKey === "rating") {
       sort["reviews.averageRating"] = sortOrder === "desc" ? -1 : 1
-    } else if (sortBy === "tuition") {
+    } else if (sortKey === "tuition") {
       sort["costs.tuition.outOfState"] = sortOrder === "desc" ? -1 : 1
-    } else if (sortBy === "students") {
+    } else if (sortKey === "students") {
       sort["stats.totalStudents"] = sortOrder === "desc" ? -1 : 1
     } else {
-      sort[sortBy] = sortOrder === "desc" ? -1 : 1
+      sort[sortKey] = sortOrder === "desc" ? -1 : 1
     }
 
-    // Execute query with pagination
-    const colleges = await College.find(query)
-      .sort(sort)
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .select("-__v")
+    // The page is its own aggregation so the filters and sort can use indexes. An aggregation
+    // (rather than $geoNear) also lets text search, geo filters and the computed distance work together.
+    const pagePipeline = [{ $match: query }, { $match: combineFilters(filters) }]
+    if (searchText) {
+      pagePipeline.push({ $addFields: { score: { $meta: "textScore" } } })
+    }
+    if (near) {
+      pagePipeline.push({ $addFields: { distance: distanceExpression(near, "location.coordinates") } })
+    }
+    pagePipeline.push(
+      { $sort: { ...sort, _id: 1 } },
+      { $skip: (page - 1) * limit },
+      { $limit: Number.parseInt(limit) },
+      { $project: { __v: 0, draft: 0 } },
+    )
+
+    // The total and every facet in one pass, over just the fields they need
+    const facetPipeline = [
+      { $match: query },
+      { $project: FACET_FIELDS },
+      { $facet: { total: [{ $match: combineFilters(filters) }, { $count: "count" }], ...facetPipelines(filters) } },
+    ]
 
-    // Get total count for pagination
-    const total = await College.countDocuments(query)
+    const [colleges, [result]] = await Promise.all([College.aggregate(pagePipeline), College.aggregate(facetPipeline)])
+    const total = result.total[0]?.count || 0
+
+    if (searchText) {
+      const terms = searchTerms(searchText)
+      colleges.forEach((college) => {
+        college.highlights = buildHighlights(college, terms)
+      })
+    }
 
-    // Get filter options for frontend
+    const toOptions = (groups) => groups.map(({ _id, count }) => ({ value: _id, count }))
+    const facets = {
+      types: toOptions(result.types),
+      sizes: toOptions(result.sizes),
+      states: toOptions(result.states),
+      degreeLevels: toOptions(result.degreeLevels),
+      tuition: result.tuition.map(({ _id, count }) => {
+        const index = TUITION_BUCKETS.indexOf(_id)
+        return { min: _id, max: index < TUITION_BUCKETS.length - 2 ? TUITION_BUCKETS[index + 1] : null, count }
+      }),
+      ratings: RATING_THRESHOLDS.map((min) => ({ min, count: result.ratings[0]?.[`atLeast${min}`] || 0 })).filter(
+        ({ count }) => count > 0,
+      ),
+    }
+
+    // The option lists clients used before facets, in their old shape
     const filterOptions = {
-      types: await College.distinct("type", { isActive: true }),
-      sizes: await College.distinct("size", { isActive: true }),
-      states: await College.distinct("location.state", { isActive: true }),
-      tuitionRange: await College.aggregate([
-        { $match: { isActive: true } },
-        {
-          $group: {
-            _id: null,
-            min: { $min: "$costs.tuition.outOfState" },
-            max: { $max: "$costs.tuition.outOfState" },
-          },
-        },
-      ]),
+      types: facets.types.map(({ value }) => value),
+      sizes: facets.sizes.map(({ value }) => value),
+      states: facets.states.map(({ value }) => value),
+      tuitionRange: result.tuitionRange,
     }
 
     res.json({
@@ -122,6 +359,7 @@ router.get("/", async (req, res) => {
           limit: Number.parseInt(limit),
         },
         filterOptions,
+        facets,
       },
     })
   } catch (error) {
@@ -137,7 +375,7 @@ router.get("/featured", async (req, res) => {
   try {
     const { limit = 6 } = req.query
 
-    const colleges = await College.find({ featured: true, isActive: true })
+    const colleges = await College.find({ featured: true, ...PUBLISHED_FILTER })
       .sort({ "reviews.averageRating": -1 })
       .limit(Number.parseInt(limit))
       .select("name slug description location images reviews costs stats")
@@ -157,27 +395,50 @@ router.get("/featured", async (req, res) => {
 // @access  Public
 router.get("/search-suggestions", async (req, res) => {
   try {
-    const { q } = req.query
+    const q = sanitizeTextSearch(req.query.q)
+    const limit = 10
 
-    if (!q || q.length < 2) {
+    if (q.length < 2) {
       return res.json({ success: true, data: [] })
     }
 
+    // Exact matches at the start of a word come first
+    const pattern = new RegExp(`\\b${escapeRegex(q)}`, "i")
     const suggestions = await College.find(
       {
-        $or: [
-          { name: { $regex: q, $options: "i" } },
-          { "location.city": { $regex: q, $options: "i" } },
-          { "location.state": { $regex: q, $options: "i" } },
-        ],
-        isActive: true,
+        $or: [{ name: pattern }, { "location.city": pattern }, { "location.state": pattern }],
+        ...PUBLISHED_FILTER,
       },
       "name location.city location.state slug",
-    ).limit(10)
+    )
+      .limit(limit)
+      .lean()
 
+    // Then fill up with near misses, fewest typos first
+    if (suggestions.length < limit) {
+      const found = new Set(suggestions.map((college) => college._id.toString()))
+      const candidates = await loadSuggestionCandidates()
+
+      const fuzzy = candidates
+        .filter((college) => !found.has(college._id.toString()))
+        .map((college) => {
+          const scores = [
+            fuzzyMatch(q, college.name),
+            fuzzyMatch(q, `${college.location?.city || ""} ${college.location?.state || ""}`),
+          ].filter((score) => score !== null)
+          return { college, typos: scores.length ? Math.min(...scores) : null }
+        })
+        .filter(({ typos }) => typos !== null)
+        .sort((a, b) => a.typos - b.typos || a.college.name.localeCompare(b.college.name))
+        .slice(0, limit - suggestions.length)
+
+      suggestions.push(...fuzzy.map(({ college }) => college))
+    }
+
+    const terms = searchTerms(q)
     res.json({
       success: true,
-      data: suggestions,
+      data: suggestions.map((college) => ({ ...college, highlight: highlight(college.name, terms) })),
     })
   } catch (error) {
     console.error(error)
@@ -191,7 +452,7 @@ router.get("/search-suggestions", async (req, res) => {
 router.get("/stats", async (req, res) => {
   try {
     const stats = await College.aggregate([
-      { $match: { isActive: true } },
+      { $match: PUBLISHED_FILTER },
       {
         $group: {
           _id: null,
@@ -204,17 +465,17 @@ router.get("/stats", async (req, res) => {
     ])
 
     const typeDistribution = await College.aggregate([
-      { $match: { isActive: true } },
+      { $match: PUBLISHED_FILTER },
       { $group: { _id: "$type", count: { $sum: 1 } } },
     ])
 
     const sizeDistribution = await College.aggregate([
-      { $match: { isActive: true } },
+      { $match: PUBLISHED_FILTER },
       { $group: { _id: "$size", count: { $sum: 1 } } },
     ])
 
     const stateDistribution = await College.aggregate([
-      { $match: { isActive: true } },
+      { $match: PUBLISHED_FILTER },
       { $group: { _id: "$location.state", count: { $sum: 1 } } },
       { $sort: { count: -1 } },
       { $limit: 10 },
@@ -237,6 +498,123 @@ router.get("/stats", async (req, res) => {
   }
 })
 
+// @route   GET /api/colleges/compare
+// @desc    Compare 2-4 colleges side by side (?ids=id1,id2,...)
+// @access  Public
+router.get("/compare", async (req, res) => {
+  try {
+    const ids = [
+      ...new Set(
+        String(req.query.ids || "")
+          .split(",")
+          .map((id) => id.trim())
+          .filter(Boolean),
+      ),
+    ]
+
+    if (ids.length < 2 || ids.length > 4) {
+      return res.status(400).json({ message: "Choose between 2 and 4 colleges to compare" })
+    }
+
+    if (!ids.every((id) => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ message: "Invalid college ID" })
+    }
+
+    const colleges = await College.find({ _id: { $in: ids }, ...PUBLISHED_FILTER }).lean()
+    if (colleges.length !== ids.length) {
+      return res.status(404).json({ message: "One or more colleges were not found" })
+    }
+
+    // Keep the order the colleges were asked for
+    colleges.sort((a, b) => ids.indexOf(a._id.toString()) - ids.indexOf(b._id.toString()))
+
+    res.json({
+      success: true,
+      data: buildComparison(colleges),
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST /api/colleges/cost-estimates
+// @desc    Cost estimates for several colleges at once; defaults to the user's saved colleges
+//          and to the residency in their profile address
+// @access  Private
+router.post(
+  "/cost-estimates",
+  auth,
+  [
+    ...costEstimateValidation,
+    body("collegeIds").optional().isArray({ min: 1, max: 50 }).withMessage("Choose between 1 and 50 colleges"),
+    body("collegeIds.*").isMongoId().withMessage("Invalid college ID"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const collegeIds = (req.body.collegeIds || req.user.savedColleges).map((id) => id.toString())
+      const colleges = await College.find({ _id: { $in: collegeIds }, ...PUBLISHED_FILTER }).select(
+        COST_ESTIMATE_FIELDS,
+      )
+      colleges.sort((a, b) => collegeIds.indexOf(a._id.toString()) - collegeIds.indexOf(b._id.toString()))
+
+      const address = req.user.profile?.address || {}
+      const options = {
+        ...req.body,
+        residency: req.body.residency || { state: address.state, country: address.country },
+      }
+
+      res.json({
+        success: true,
+        data: colleges.map((college) => estimateCost(college, options)),
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @route   GET /api/colleges/admission-chances
+// @desc    Reach/target/safety for several colleges (?collegeIds=a,b); defaults to saved colleges
+// @access  Private
+router.get("/admission-chances", auth, async (req, res) => {
+  try {
+    const collegeIds = req.query.collegeIds
+      ? String(req.query.collegeIds)
+          .split(",")
+          .map((id) => id.trim())
+          .filter(Boolean)
+      : req.user.savedColleges.map((id) => id.toString())
+
+    if (collegeIds.length > 50 || !collegeIds.every((id) => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ message: "Provide up to 50 valid college IDs" })
+    }
+
+    const colleges = await College.find({ _id: { $in: collegeIds }, ...PUBLISHED_FILTER }).select(
+      ADMISSION_CHANCE_FIELDS,
+    )
+    colleges.sort((a, b) => collegeIds.indexOf(a._id.toString()) - collegeIds.indexOf(b._id.toString()))
+
+    const results = colleges.map((college) => classifyAdmission(college, req.user.profile))
+    const counts = { reach: 0, target: 0, safety: 0, unknown: 0 }
+    results.forEach((result) => counts[result.classification]++)
+
+    res.json({
+      success: true,
+      data: { results, counts },
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
 // @route   GET /api/colleges/:slug
 // @desc    Get single college by slug
 // @access  Public
@@ -244,9 +622,13 @@ router.get("/:slug", async (req, res) => {
   try {
     const { slug } = req.params
 
-    const college = await College.findOne({ slug, isActive: true })
+    const college = await College.findOne({ slug, ...PUBLISHED_FILTER })
 
     if (!college) {
+      const renamed = await College.findOne({ previousSlugs: slug, ...PUBLISHED_FILTER }).select("slug")
+      if (renamed) {
+        return redirectToSlug(req, res, renamed.slug)
+      }
       return res.status(404).json({ message: "College not found" })
     }
 
@@ -260,11 +642,12 @@ router.get("/:slug", async (req, res) => {
     const similarColleges = await College.find({
       _id: { $ne: college._id },
       $or: [{ type: college.type }, { size: college.size }, { "location.state": college.location.state }],
-      isActive: true,
+      ...PUBLISHED_FILTER,
     })
       .limit(4)
       .select("name slug location images reviews")
 
+    res.set("ETag", revisionEtag(college))
     res.json({
       success: true,
       data: {
@@ -279,12 +662,77 @@ router.get("/:slug", async (req, res) => {
   }
 })
 
+// @route   GET /api/colleges/:slug/deadlines.ics
+// @desc    Public ICS feed of a college's admission deadlines
+// @access  Public
+router.get("/:slug/deadlines.ics", async (req, res) => {
+  try {
+    const college = await College.findOne({ slug: req.params.slug, ...PUBLISHED_FILTER }).select(
+      "name slug admissions.applicationDeadlines updatedAt",
+    )
+
+    if (!college) {
+      const renamed = await College.findOne({ previousSlugs: req.params.slug, ...PUBLISHED_FILTER }).select("slug")
+      if (renamed) {
+        return redirectToSlug(req, res, renamed.slug, "/deadlines.ics")
+      }
+      return res.status(404).json({ message: "College not found" })
+    }
+
+    res.set({
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": `inline; filename="${college.slug}-deadlines.ics"`,
+      "Cache-Control": "public, max-age=3600",
+    })
+    res.send(
+      buildCalendar({
+        name: `${college.name} admission deadlines`,
+        entries: collegeDeadlineEntries(college),
+      }),
+    )
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   GET /api/colleges/:slug/programs/:programId
+// @desc    Get one program with its effective deadlines, requirements and tuition
+// @access  Public
+router.get("/:slug/programs/:programId", async (req, res) => {
+  try {
+    const { slug, programId } = req.params
+
+    const college = await College.findOne({ slug, ...PUBLISHED_FILTER }).select(PROGRAM_COLLEGE_FIELDS)
+    if (!college) {
+      const renamed = await College.findOne({ previousSlugs: slug, ...PUBLISHED_FILTER }).select("slug")
+      if (renamed) {
+        return redirectToSlug(req, res, renamed.slug, `/programs/${encodeURIComponent(programId)}`)
+      }
+      return res.status(404).json({ message: "College not found" })
+    }
+
+    const program = mongoose.isValidObjectId(programId) ? findCollegeProgram(college, { programId }) : null
+    if (!program) {
+      return res.status(404).json({ message: "Program not found" })
+    }
+
+    res.json({
+      success: true,
+      data: programDetails(college, program),
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
 // @route   POST /api/colleges
 // @desc    Create new college (Admin only)
-// @access  Private/Admin
+// @access  Private (colleges:create)
 router.post(
   "/",
-  adminAuth,
+  requirePermission("colleges:create"),
   [
     body("name").trim().isLength({ min: 2 }).withMessage("College name is required"),
     body("slug").trim().isLength({ min: 2 }).withMessage("Slug is required"),
@@ -301,15 +749,34 @@ router.post(
         return res.status(400).json({ errors: errors.array() })
       }
 
-      // Check if slug already exists
-      const existingCollege = await College.findOne({ slug: req.body.slug })
-      if (existingCollege) {
+      // Check if slug already exists, including as another college's old slug
+      if (!(await isSlugAvailable(College, req.body.slug))) {
         return res.status(400).json({ message: "College with this slug already exists" })
       }
 
-      const college = new College(req.body)
+      // New colleges stay private until they are submitted and published. Media is uploaded
+      // through the media endpoints once the college exists.
+      const college = new College({
+        ...req.body,
+        images: [],
+        videos: [],
+        revision: 0,
+        status: "draft",
+        isPublished: false,
+        publishedAt: undefined,
+        draft: undefined,
+      })
       await college.save()
 
+      await recordRevision(req.user, college, { action: "create" })
+      await recordAudit(req, {
+        action: "college.create",
+        entityType: "College",
+        entityId: college._id,
+        before: null,
+        after: college,
+      })
+
       res.status(201).json({
         success: true,
         data: college,
@@ -323,34 +790,108 @@ router.post(
 )
 
 // @route   PUT /api/colleges/:id
-// @desc    Update college (Admin only)
-// @access  Private/Admin
-router.put("/:id", adminAuth, async (req, res) => {
+// @desc    Update college (Admin or the college's staff). Edits to a published college are staged
+//          for review rather than going live; an unpublished college is edited in place.
+//          Send the revision being edited in If-Match (or as "revision") to get a 409 instead of
+//          overwriting someone else's change.
+// @access  Private (colleges:update)
+router.put("/:id", requirePermission("colleges:update", scopeFromParam()), collegeIdValidation, async (req, res) => {
   try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
     const { id } = req.params
 
-    const college = await College.findById(id)
+    const college = await College.findById(id).select("+draft")
     if (!college) {
       return res.status(404).json({ message: "College not found" })
     }
 
+    const revision = expectedRevision(req)
+    if (revision === null) {
+      return res.status(400).json({ message: "If-Match must name a college revision" })
+    }
+    if (revision !== undefined && revision !== currentRevision(college)) {
+      return revisionConflict(res, college)
+    }
+
     // If slug is being updated, check for duplicates
-    if (req.body.slug && req.body.slug !== college.slug) {
-      const existingCollege = await College.findOne({ slug: req.body.slug, _id: { $ne: id } })
-      if (existingCollege) {
-        return res.status(400).json({ message: "College with this slug already exists" })
+    if (req.body.slug && req.body.slug !== college.slug && !(await isSlugAvailable(College, req.body.slug, id))) {
+      return res.status(400).json({ message: "College with this slug already exists" })
+    }
+
+    // Featuring and deactivation have their own permissions
+    if (!hasPermission(req.user, "colleges:feature")) delete req.body.featured
+    if (!hasPermission(req.user, "colleges:delete")) delete req.body.isActive
+    const { edits, flags } = splitEdits(req.body)
+    const hasEdits = Object.keys(edits).length > 0
+    const isStaging = college.isPublished !== false && hasEdits
+
+    const update = { $set: { ...flags }, $inc: { revision: 1 } }
+    if (college.isPublished === false) {
+      // Nothing is public yet, so edit in place. Editing a college under review sends it back to
+      // draft and drops its submission and any scheduled publish, since those covered older content.
+      Object.assign(update.$set, edits)
+      if (hasEdits) {
+        update.$set.status = "draft"
+        update.$unset = {
+          "draft.submittedBy": 1,
+          "draft.submittedAt": 1,
+          "draft.approvedBy": 1,
+          "draft.publishAt": 1,
+        }
+      }
+    } else if (isStaging) {
+      const preview = previewCollege(college, edits)
+      const invalid = preview.validateSync()
+      if (invalid) {
+        return res.status(400).json({
+          message: "These changes can't be staged",
+          errors: Object.values(invalid.errors).map(({ path, message }) => ({ path, message })),
+        })
+      }
+
+      // Any new edit needs a fresh review, so submission and scheduling are reset
+      const changes = stagedChanges(college, preview)
+      if (Object.keys(changes).length > 0) {
+        update.$set.draft = { changes, updatedBy: req.user._id, updatedAt: new Date() }
+        update.$set.status = "draft"
+      } else {
+        update.$unset = { draft: 1 }
+        update.$set.status = "published"
       }
     }
+    if (Object.keys(update.$set).length === 0) delete update.$set
+
+    // The revision filter also catches an edit that lands between the read above and this write
+    const updatedCollege = await College.findOneAndUpdate(
+      { _id: id, ...revisionFilter(currentRevision(college)) },
+      update,
+      { new: true, runValidators: true },
+    ).select("+draft")
+    if (!updatedCollege) {
+      return revisionConflict(res, await College.findById(id))
+    }
 
-    const updatedCollege = await College.findByIdAndUpdate(id, req.body, {
-      new: true,
-      runValidators: true,
+    // Staged edits only become a revision once they are published
+    if (!isStaging || Object.keys(flags).length > 0) {
+      await recordRevision(req.user, updatedCollege, { action: "update", before: college })
+    }
+    await recordAudit(req, {
+      action: isStaging ? "college.stage" : "college.update",
+      entityType: "College",
+      entityId: college._id,
+      before: college,
+      after: updatedCollege,
     })
 
+    res.set("ETag", revisionEtag(updatedCollege))
     res.json({
       success: true,
       data: updatedCollege,
-      message: "College updated successfully",
+      message: isStaging ? "Changes staged for review" : "College updated successfully",
     })
   } catch (error) {
     console.error(error)
@@ -358,11 +899,455 @@ router.put("/:id", adminAuth, async (req, res) => {
   }
 })
 
+// @route   GET /api/colleges/:id/revisions
+// @desc    List a college's revisions, newest first, with author and changed fields
+// @access  Private (colleges:update)
+router.get(
+  "/:id/revisions",
+  requirePermission("colleges:update", scopeFromParam()),
+  [
+    param("id").isMongoId().withMessage("Invalid college ID"),
+    query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
+    query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const { id } = req.params
+      const { page = 1, limit = 20 } = req.query
+
+      const college = await College.findById(id).select("name slug revision")
+      if (!college) {
+        return res.status(404).json({ message: "College not found" })
+      }
+
+      const revisions = await CollegeRevision.find({ college: id })
+        .select("-snapshot")
+        .populate("author", "name email role")
+        .sort({ version: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+
+      const total = await CollegeRevision.countDocuments({ college: id })
+
+      res.set("ETag", revisionEtag(college))
+      res.json({
+        success: true,
+        data: {
+          currentRevision: currentRevision(college),
+          revisions,
+          pagination: {
+            current: Number.parseInt(page),
+            pages: Math.ceil(total / limit),
+            total,
+            limit: Number.parseInt(limit),
+          },
+        },
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @route   GET /api/colleges/:id/revisions/:version
+// @desc    Get one revision, including the full snapshot of the college at that version
+// @access  Private (colleges:update)
+router.get(
+  "/:id/revisions/:version",
+  requirePermission("colleges:update", scopeFromParam()),
+  [
+    param("id").isMongoId().withMessage("Invalid college ID"),
+    param("version").isInt({ min: 0 }).withMessage("Invalid revision"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const revision = await CollegeRevision.findOne({
+        college: req.params.id,
+        version: Number(req.params.version),
+      }).populate("author", "name email role")
+
+      if (!revision) {
+        return res.status(404).json({ message: "Revision not found" })
+      }
+
+      res.json({
+        success: true,
+        data: revision,
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @route   POST /api/colleges/:id/revisions/:version/rollback
+// @desc    Restore a college to an earlier revision. The rollback is itself a new revision;
+//          featured and active status are left as they are.
+// @access  Private (colleges:publish)
+router.post(
+  "/:id/revisions/:version/rollback",
+  requirePermission("colleges:publish", scopeFromParam()),
+  [
+    param("id").isMongoId().withMessage("Invalid college ID"),
+    param("version").isInt({ min: 0 }).withMessage("Invalid revision"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const { id } = req.params
+
+      const college = await College.findById(id)
+      if (!college) {
+        return res.status(404).json({ message: "College not found" })
+      }
+
+      const revision = expectedRevision(req)
+      if (revision === null) {
+        return res.status(400).json({ message: "If-Match must name a college revision" })
+      }
+      if (revision !== undefined && revision !== currentRevision(college)) {
+        return revisionConflict(res, college)
+      }
+
+      const target = await CollegeRevision.findOne({ college: id, version: Number(req.params.version) })
+      if (!target) {
+        return res.status(404).json({ message: "Revision not found" })
+      }
+      if (target.version === currentRevision(college)) {
+        return res.status(400).json({ message: "The college is already at this revision" })
+      }
+
+      // The old slug may have been taken by another college since. Links to the current slug
+      // keep working once the college is public.
+      const update = rollbackUpdate(target.snapshot)
+      if (target.snapshot.slug !== college.slug) {
+        if (!(await isSlugAvailable(College, target.snapshot.slug, id))) {
+          return res.status(400).json({ message: "Another college now uses this revision's slug" })
+        }
+        if (college.isPublished !== false) {
+          update.$set.previousSlugs = previousSlugsAfterRename(college, target.snapshot.slug)
+        }
+      }
+
+      const restoredCollege = await College.findOneAndUpdate(
+        { _id: id, ...revisionFilter(currentRevision(college)) },
+        { ...update, $inc: { revision: 1 } },
+        { new: true, runValidators: true },
+      )
+      if (!restoredCollege) {
+        return revisionConflict(res, await College.findById(id))
+      }
+
+      await recordRevision(req.user, restoredCollege, {
+        action: "rollback",
+        before: college,
+        restoredFrom: target.version,
+      })
+      await recordAudit(req, {
+        action: "college.rollback",
+        entityType: "College",
+        entityId: college._id,
+        before: college,
+        after: restoredCollege,
+        metadata: { restoredFrom: target.version },
+      })
+
+      res.set("ETag", revisionEtag(restoredCollege))
+      res.json({
+        success: true,
+        data: restoredCollege,
+        message: `College restored to revision ${target.version}`,
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// Apply a workflow transition if the college hasn't changed since it was loaded.
+// Returns the updated college (with its draft) or null on a conflict.
+const transitionCollege = (college, update) => {
+  return College.findOneAndUpdate(
+    { _id: college._id, ...revisionFilter(currentRevision(college)) },
+    { ...update, $inc: { revision: 1 } },
+    { new: true },
+  ).select("+draft")
+}
+
+// @route   GET /api/colleges/:id/draft
+// @desc    Get a college's workflow status, staged changes and a preview of the profile
+//          as it will look once they are published
+// @access  Private (colleges:update)
+router.get("/:id/draft", requirePermission("colleges:update", scopeFromParam()), async (req, res) => {
+  try {
+    const college = await College.findById(req.params.id)
+      .select("+draft")
+      .populate("draft.updatedBy draft.submittedBy draft.approvedBy", "name email role")
+    if (!college) {
+      return res.status(404).json({ message: "College not found" })
+    }
+
+    const preview = previewCollege(college)
+
+    res.set("ETag", revisionEtag(college))
+    res.json({
+      success: true,
+      data: {
+        status: college.status,
+        isPublished: college.isPublished,
+        publishedAt: college.publishedAt || null,
+        revision: currentRevision(college),
+        draft: college.draft || null,
+        changes: diffSnapshots(college, preview).filter(({ path }) => !path.startsWith("draft.")),
+        preview,
+      },
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   DELETE /api/colleges/:id/draft
+// @desc    Discard a published college's staged changes
+// @access  Private (colleges:update)
+router.delete("/:id/draft", requirePermission("colleges:update", scopeFromParam()), async (req, res) => {
+  try {
+    const college = await College.findById(req.params.id).select("+draft")
+    if (!college) {
+      return res.status(404).json({ message: "College not found" })
+    }
+    if (college.isPublished === false) {
+      return res.status(400).json({ message: "An unpublished college is edited directly and has no staged changes" })
+    }
+    if (!hasStagedChanges(college)) {
+      return res.status(400).json({ message: "There are no staged changes to discard" })
+    }
+
+    const updatedCollege = await transitionCollege(college, { $set: { status: "published" }, $unset: { draft: 1 } })
+    if (!updatedCollege) {
+      return revisionConflict(res, await College.findById(req.params.id))
+    }
+
+    await recordAudit(req, {
+      action: "college.draft.discard",
+      entityType: "College",
+      entityId: college._id,
+      before: college,
+      after: updatedCollege,
+    })
+
+    res.json({
+      success: true,
+      data: updatedCollege,
+      message: "Staged changes discarded",
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST /api/colleges/:id/submit
+// @desc    Submit a draft (a new college, or a published college's staged changes) for review
+// @access  Private (colleges:update)
+router.post("/:id/submit", requirePermission("colleges:update", scopeFromParam()), async (req, res) => {
+  try {
+    const college = await College.findById(req.params.id).select("+draft")
+    if (!college) {
+      return res.status(404).json({ message: "College not found" })
+    }
+    if (college.status !== "draft" || (college.isPublished !== false && !hasStagedChanges(college))) {
+      return res.status(400).json({ message: "There is no draft to submit" })
+    }
+
+    const updatedCollege = await transitionCollege(college, {
+      $set: {
+        status: "in-review",
+        "draft.submittedBy": req.user._id,
+        "draft.submittedAt": new Date(),
+      },
+      $unset: { "draft.reviewNote": 1 },
+    })
+    if (!updatedCollege) {
+      return revisionConflict(res, await College.findById(req.params.id))
+    }
+
+    await recordAudit(req, {
+      action: "college.draft.submit",
+      entityType: "College",
+      entityId: college._id,
+      before: college,
+      after: updatedCollege,
+    })
+
+    res.json({
+      success: true,
+      data: updatedCollege,
+      message: "Submitted for review",
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST /api/colleges/:id/publish
+// @desc    Approve a college under review and publish it now, or at "publishAt"
+// @access  Private (colleges:publish)
+router.post(
+  "/:id/publish",
+  requirePermission("colleges:publish", scopeFromParam()),
+  [body("publishAt").optional().isISO8601().withMessage("publishAt must be a date")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const college = await College.findById(req.params.id).select("+draft")
+      if (!college) {
+        return res.status(404).json({ message: "College not found" })
+      }
+      if (college.status !== "in-review") {
+        return res.status(400).json({ message: "Only colleges submitted for review can be published" })
+      }
+
+      // The staged slug may have been taken since the edit was made
+      const slug = college.draft?.changes?.slug
+      if (slug && slug !== college.slug && !(await isSlugAvailable(College, slug, college._id))) {
+        return res.status(400).json({ message: "College with this slug already exists" })
+      }
+
+      const publishAt = req.body.publishAt ? new Date(req.body.publishAt) : null
+      if (publishAt && publishAt > new Date()) {
+        const scheduledCollege = await transitionCollege(college, {
+          $set: { "draft.publishAt": publishAt, "draft.approvedBy": req.user._id },
+        })
+        if (!scheduledCollege) {
+          return revisionConflict(res, await College.findById(req.params.id))
+        }
+
+        await recordAudit(req, {
+          action: "college.publish.schedule",
+          entityType: "College",
+          entityId: college._id,
+          before: college,
+          after: scheduledCollege,
+        })
+
+        return res.json({
+          success: true,
+          data: scheduledCollege,
+          message: `Scheduled to publish at ${publishAt.toISOString()}`,
+        })
+      }
+
+      const publishedCollege = await publishDraft(college, req.user)
+      if (!publishedCollege) {
+        return revisionConflict(res, await College.findById(req.params.id))
+      }
+
+      await recordAudit(req, {
+        action: "college.publish",
+        entityType: "College",
+        entityId: college._id,
+        before: college,
+        after: publishedCollege,
+      })
+
+      res.set("ETag", revisionEtag(publishedCollege))
+      res.json({
+        success: true,
+        data: publishedCollege,
+        message: "College published",
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @route   POST /api/colleges/:id/reject
+// @desc    Send a college under review back to draft with a note, cancelling any scheduled publish
+// @access  Private (colleges:publish)
+router.post(
+  "/:id/reject",
+  requirePermission("colleges:publish", scopeFromParam()),
+  [body("note").optional().trim().isLength({ max: 1000 }).withMessage("Note cannot exceed 1000 characters")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const college = await College.findById(req.params.id).select("+draft")
+      if (!college) {
+        return res.status(404).json({ message: "College not found" })
+      }
+      if (college.status !== "in-review") {
+        return res.status(400).json({ message: "This college is not under review" })
+      }
+
+      const updatedCollege = await transitionCollege(college, {
+        $set: { status: "draft", "draft.reviewNote": req.body.note || "" },
+        $unset: { "draft.publishAt": 1, "draft.approvedBy": 1 },
+      })
+      if (!updatedCollege) {
+        return revisionConflict(res, await College.findById(req.params.id))
+      }
+
+      await recordAudit(req, {
+        action: "college.draft.reject",
+        entityType: "College",
+        entityId: college._id,
+        before: college,
+        after: updatedCollege,
+        metadata: { note: req.body.note || null },
+      })
+
+      res.json({
+        success: true,
+        data: updatedCollege,
+        message: "Returned to draft",
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
 // @route   DELETE /api/colleges/:id
 // @desc    Delete college (Admin only)
-// @access  Private/Admin
-router.delete("/:id", adminAuth, async (req, res) => {
+// @access  Private (colleges:delete)
+router.delete("/:id", requirePermission("colleges:delete"), collegeIdValidation, async (req, res) => {
   try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
     const { id } = req.params
 
     const college = await College.findById(id)
@@ -371,8 +1356,24 @@ router.delete("/:id", adminAuth, async (req, res) => {
     }
 
     // Soft delete - set isActive to false
-    college.isActive = false
-    await college.save()
+    const before = college.toObject()
+    const deletedCollege = await College.findOneAndUpdate(
+      { _id: id, ...revisionFilter(currentRevision(college)) },
+      { $set: { isActive: false }, $inc: { revision: 1 } },
+      { new: true },
+    )
+    if (!deletedCollege) {
+      return revisionConflict(res, await College.findById(id))
+    }
+
+    await recordRevision(req.user, deletedCollege, { action: "delete", before })
+    await recordAudit(req, {
+      action: "college.delete",
+      entityType: "College",
+      entityId: college._id,
+      before,
+      after: deletedCollege,
+    })
 
     res.json({
       success: true,
@@ -386,9 +1387,14 @@ router.delete("/:id", adminAuth, async (req, res) => {
 
 // @route   POST /api/colleges/:id/toggle-featured
 // @desc    Toggle featured status (Admin only)
-// @access  Private/Admin
-router.post("/:id/toggle-featured", adminAuth, async (req, res) => {
+// @access  Private (colleges:feature)
+router.post("/:id/toggle-featured", requirePermission("colleges:feature"), collegeIdValidation, async (req, res) => {
   try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
     const { id } = req.params
 
     const college = await College.findById(id)
@@ -396,13 +1402,82 @@ router.post("/:id/toggle-featured", adminAuth, async (req, res) => {
       return res.status(404).json({ message: "College not found" })
     }
 
-    college.featured = !college.featured
-    await college.save()
+    const before = college.toObject()
+    const updatedCollege = await College.findOneAndUpdate(
+      { _id: id, ...revisionFilter(currentRevision(college)) },
+      { $set: { featured: !college.featured }, $inc: { revision: 1 } },
+      { new: true },
+    )
+    if (!updatedCollege) {
+      return revisionConflict(res, await College.findById(id))
+    }
+
+    await recordRevision(req.user, updatedCollege, { action: "feature", before })
+    await recordAudit(req, {
+      action: updatedCollege.featured ? "college.feature" : "college.unfeature",
+      entityType: "College",
+      entityId: college._id,
+      before,
+      after: updatedCollege,
+    })
+
+    res.json({
+      success: true,
+      data: updatedCollege,
+      message: `College ${updatedCollege.featured ? "featured" : "unfeatured"} successfully`,
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   GET /api/colleges/:id/admission-chance
+// @desc    Classify a college as reach, target or safety for the current student
+// @access  Private
+router.get("/:id/admission-chance", auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "College not found" })
+    }
+
+    const college = await College.findOne({ _id: req.params.id, ...PUBLISHED_FILTER }).select(ADMISSION_CHANCE_FIELDS)
+    if (!college) {
+      return res.status(404).json({ message: "College not found" })
+    }
+
+    res.json({
+      success: true,
+      data: classifyAdmission(college, req.user.profile),
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST /api/colleges/:id/cost-estimate
+// @desc    Estimate the yearly and total cost of attending, net of likely aid
+// @access  Public
+router.post("/:id/cost-estimate", costEstimateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "College not found" })
+    }
+
+    const college = await College.findOne({ _id: req.params.id, ...PUBLISHED_FILTER }).select(COST_ESTIMATE_FIELDS)
+    if (!college) {
+      return res.status(404).json({ message: "College not found" })
+    }
 
     res.json({
       success: true,
-      data: college,
-      message: `College ${college.featured ? "featured" : "unfeatured"} successfully`,
+      data: estimateCost(college, req.body),
     })
   } catch (error) {
     console.error(error)
@@ -411,9 +1486,9 @@ router.post("/:id/toggle-featured", adminAuth, async (req, res) => {
 })
 
 // @route   GET /api/colleges/:id/analytics
-// @desc    Get college analytics (Admin only)
-// @access  Private/Admin
-router.get("/:id/analytics", adminAuth, async (req, res) => {
+// @desc    Get college analytics (Admin, counselors or the college's staff)
+// @access  Private (colleges:analytics)
+router.get("/:id/analytics", requirePermission("colleges:analytics", scopeFromParam()), async (req, res) => {
   try {
     const { id } = req.params
 
@@ -0,0 +1,740 @@
+const express = require("express")
+const mongoose = require("mongoose")
+const { body, param, query, validationResult } = require("express-validator")
+const CampusEvent = require("../models/CampusEvent")
+const EventBooking = require("../models/EventBooking")
+const College = require("../models/College")
+const User = require("../models/User")
+const { auth, optionalAuth, requirePermission, requireVerifiedEmail } = require("../middleware/auth")
+const { notify } = require("../utils/mailer")
+const { recordAudit } = require("../utils/auditLog")
+const { takeSeat, releaseSeat, notifyBooking, fillFromWaitlist, cancelBooking } = require("../utils/eventBookings")
+
+const router = express.Router()
+
+// Resolve the college an event belongs to, for college-scoped permissions
+const eventCollegeScope = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null
+  const event = await CampusEvent.findById(req.params.id).select("college")
+  return event?.college
+}
+
+const slotValidation = (prefix) => [
+  body(`${prefix}startsAt`).isISO8601().withMessage("Valid slot start time is required"),
+  body(`${prefix}endsAt`).isISO8601().withMessage("Valid slot end time is required"),
+  body(`${prefix}capacity`).isInt({ min: 1, max: 10000 }).withMessage("Capacity must be 1-10000"),
+  body(`${prefix}registrationClosesAt`).optional().isISO8601().withMessage("Invalid registration cutoff"),
+]
+
+const eventValidation = [
+  body("type").optional().isIn(["tour", "info-session", "open-day"]).withMessage("Invalid event type"),
+  body("title").optional().trim().isLength({ min: 3, max: 100 }).withMessage("Title must be 3-100 characters"),
+  body("description").optional().isLength({ max: 2000 }).withMessage("Description cannot exceed 2000 characters"),
+  body("isVirtual").optional().isBoolean().withMessage("isVirtual must be a boolean"),
+  body("virtualLink").optional().isURL().withMessage("Virtual link must be a valid URL"),
+]
+
+const eventIdValidation = [param("id").isMongoId().withMessage("Invalid event ID")]
+
+const slotIdValidation = [...eventIdValidation, param("slotId").isMongoId().withMessage("Invalid slot ID")]
+
+const eventUpdateValidation = [...eventIdValidation, ...eventValidation]
+
+const hasValidTimes = ({ startsAt, endsAt }) => new Date(endsAt) > new Date(startsAt)
+
+const buildSlot = ({ startsAt, endsAt, capacity, registrationClosesAt }) => ({
+  startsAt,
+  endsAt,
+  capacity,
+  seatsAvailable: capacity,
+  registrationClosesAt,
+})
+
+// Cancel every live booking on the given slots and tell the attendees
+const cancelSlotBookings = async (event, slotIds) => {
+  const bookings = await EventBooking.find({ slot: { $in: slotIds }, isActive: true })
+
+  await EventBooking.updateMany(
+    { _id: { $in: bookings.map((booking) => booking._id) } },
+    { status: "cancelled", isActive: false, cancelledAt: new Date() },
+  )
+
+  const users = await User.find({ _id: { $in: bookings.map((booking) => booking.user) } }).select("name email")
+  for (const booking of bookings) {
+    const user = users.find((candidate) => candidate._id.equals(booking.user))
+    if (user) notify("eventCancelled", user.email, { user, event, slot: event.slots.id(booking.slot) })
+  }
+
+  return bookings.length
+}
+
+// @route   GET /api/events
+// @desc    List upcoming campus events, optionally by college, type and date range
+// @access  Public
+router.get(
+  "/",
+  [
+    query("college").optional().isMongoId().withMessage("Invalid college ID"),
+    query("type").optional().isIn(["tour", "info-session", "open-day"]).withMessage("Invalid event type"),
+    query("from").optional().isISO8601().withMessage("Invalid from date"),
+    query("to").optional().isISO8601().withMessage("Invalid to date"),
+    query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer").toInt(),
+    query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100").toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const { college, type, from, to, page = 1, limit = 20 } = req.query
+      const fromDate = from ? new Date(from) : new Date()
+      const toDate = to ? new Date(to) : null
+
+      const slotRange = { $gte: fromDate }
+      if (toDate) slotRange.$lte = toDate
+
+      const filter = { isActive: true, slots: { $elemMatch: { startsAt: slotRange, isCancelled: false } } }
+      if (college) filter.college = college
+      if (type) filter.type = type
+
+      const events = await CampusEvent.find(filter)
+        .populate("college", "name slug location.city location.state")
+        .sort({ "slots.startsAt": 1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+
+      const total = await CampusEvent.countDocuments(filter)
+
+      // Only show the slots inside the requested range
+      const data = events.map((event) => {
+        const result = event.toObject()
+        result.slots = result.slots.filter(
+          (slot) => !slot.isCancelled && slot.startsAt >= fromDate && (!toDate || slot.startsAt <= toDate),
+        )
+        // The link to join is only for attendees
+        delete result.virtualLink
+        return result
+      })
+
+      res.json({
+        success: true,
+        data: {
+          events: data,
+          pagination: {
+            current: Number.parseInt(page),
+            pages: Math.ceil(total / limit),
+            total,
+            limit: Number.parseInt(limit),
+          },
+        },
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @route   GET /api/events/my/bookings
+// @desc    Get the current user's event bookings and waitlist entries
+// @access  Private
+router.get("/my/bookings", auth, async (req, res) => {
+  try {
+    const { status } = req.query
+
+    const filter = { user: req.user._id }
+    if (status && status !== "all") filter.status = status
+
+    const bookings = await EventBooking.find(filter)
+      .populate({
+        path: "event",
+        select: "title type college isVirtual location virtualLink slots isActive",
+        populate: { path: "college", select: "name slug" },
+      })
+      .sort({ createdAt: -1 })
+
+    const data = bookings.map((booking) => {
+      const result = booking.toObject()
+      const slot = booking.event?.slots.id(booking.slot)
+      if (result.event) {
+        delete result.event.slots
+        if (booking.status !== "booked") delete result.event.virtualLink
+        result.slot = slot
+      }
+      return result
+    })
+
+    res.json({
+      success: true,
+      data,
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   DELETE /api/events/bookings/:bookingId
+// @desc    Cancel a booking or leave a waitlist
+// @access  Private
+router.delete("/bookings/:bookingId", auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.bookingId)) {
+      return res.status(404).json({ message: "Booking not found" })
+    }
+
+    const booking = await EventBooking.findOne({ _id: req.params.bookingId, user: req.user._id, isActive: true })
+
+    if (!booking) {
+      return res.status(404).json({ message: "Booking not found" })
+    }
+
+    const event = await CampusEvent.findById(booking.event)
+    const slot = event?.slots.id(booking.slot)
+    if (slot && slot.startsAt <= new Date()) {
+      return res.status(400).json({ message: "This event has already started" })
+    }
+
+    await cancelBooking(booking)
+
+    res.json({
+      success: true,
+      message: booking.status === "booked" ? "Booking cancelled" : "Removed from waitlist",
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   GET /api/events/:id
+// @desc    Get a single campus event. The virtual link is only included for users with a
+//          confirmed booking.
+// @access  Public
+router.get("/:id", optionalAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Event not found" })
+    }
+
+    const event = await CampusEvent.findOne({ _id: req.params.id, isActive: true }).populate(
+      "college",
+      "name slug location.city location.state",
+    )
+
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" })
+    }
+
+    const data = event.toObject()
+    const isAttending =
+      req.user &&
+      (await EventBooking.exists({ event: event._id, user: req.user._id, status: "booked", isActive: true }))
+    if (!isAttending) delete data.virtualLink
+
+    res.json({
+      success: true,
+      data,
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST /api/events
+// @desc    Create a campus event with one or more time slots
+// @access  Private (events:manage, scoped to the college)
+router.post(
+  "/",
+  requirePermission("events:manage", (req) => req.body.college),
+  [
+    body("college").isMongoId().withMessage("Valid college ID is required"),
+    body("type").exists().withMessage("Event type is required"),
+    body("title").exists().withMessage("Title is required"),
+    ...eventValidation,
+    body("slots").isArray({ min: 1, max: 100 }).withMessage("Between 1 and 100 slots are required"),
+    ...slotValidation("slots.*."),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const { college, type, title, description, isVirtual, location, virtualLink, slots } = req.body
+
+      if (!(await College.exists({ _id: college }))) {
+        return res.status(404).json({ message: "College not found" })
+      }
+
+      if (isVirtual && !virtualLink) {
+        return res.status(400).json({ message: "Virtual events need a virtual link" })
+      }
+
+      if (!slots.every(hasValidTimes)) {
+        return res.status(400).json({ message: "Slots must end after they start" })
+      }
+
+      const event = await CampusEvent.create({
+        college,
+        type,
+        title,
+        description,
+        isVirtual,
+        location,
+        virtualLink,
+        slots: slots.map(buildSlot),
+        createdBy: req.user._id,
+      })
+
+      await recordAudit(req, {
+        action: "event.create",
+        entityType: "CampusEvent",
+        entityId: event._id,
+        before: null,
+        after: event,
+      })
+
+      res.status(201).json({
+        success: true,
+        data: event,
+        message: "Event created successfully",
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @route   PUT /api/events/:id
+// @desc    Update event details (slots are managed separately)
+// @access  Private (events:manage, scoped to the college)
+router.put("/:id", requirePermission("events:manage", eventCollegeScope), eventUpdateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const event = await CampusEvent.findOne({ _id: req.params.id, isActive: true })
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" })
+    }
+
+    const before = event.toObject()
+    for (const field of ["type", "title", "description", "isVirtual", "location", "virtualLink"]) {
+      if (req.body[field] !== undefined) event[field] = req.body[field]
+    }
+
+    if (event.isVirtual && !event.virtualLink) {
+      return res.status(400).json({ message: "Virtual events need a virtual link" })
+    }
+
+    await event.save()
+
+    await recordAudit(req, {
+      action: "event.update",
+      entityType: "CampusEvent",
+      entityId: event._id,
+      before,
+      after: event,
+    })
+
+    res.json({
+      success: true,
+      data: event,
+      message: "Event updated successfully",
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   DELETE /api/events/:id
+// @desc    Cancel an event and every booking on it
+// @access  Private (events:manage, scoped to the college)
+router.delete("/:id", requirePermission("events:manage", eventCollegeScope), eventIdValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const event = await CampusEvent.findOneAndUpdate({ _id: req.params.id, isActive: true }, { isActive: false })
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" })
+    }
+
+    const bookingsCancelled = await cancelSlotBookings(
+      event,
+      event.slots.map((slot) => slot._id),
+    )
+
+    await recordAudit(req, {
+      action: "event.delete",
+      entityType: "CampusEvent",
+      entityId: event._id,
+      before: { isActive: true },
+      after: { isActive: false },
+      metadata: { bookingsCancelled },
+    })
+
+    res.json({
+      success: true,
+      message: "Event cancelled successfully",
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST /api/events/:id/slots
+// @desc    Add a time slot to an event
+// @access  Private (events:manage, scoped to the college)
+router.post(
+  "/:id/slots",
+  requirePermission("events:manage", eventCollegeScope),
+  [...eventIdValidation, ...slotValidation("")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      if (!hasValidTimes(req.body)) {
+        return res.status(400).json({ message: "Slot must end after it starts" })
+      }
+
+      const event = await CampusEvent.findOneAndUpdate(
+        { _id: req.params.id, isActive: true },
+        { $push: { slots: buildSlot(req.body) } },
+        { new: true, runValidators: true },
+      )
+      if (!event) {
+        return res.status(404).json({ message: "Event not found" })
+      }
+
+      const slot = event.slots[event.slots.length - 1]
+
+      await recordAudit(req, {
+        action: "event.slot.create",
+        entityType: "CampusEvent",
+        entityId: event._id,
+        before: null,
+        after: slot,
+        metadata: { slot: slot._id },
+      })
+
+      res.status(201).json({
+        success: true,
+        data: slot,
+        message: "Slot added successfully",
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @route   PUT /api/events/:id/slots/:slotId
+// @desc    Change a slot's times, cutoff or capacity
+// @access  Private (events:manage, scoped to the college)
+router.put(
+  "/:id/slots/:slotId",
+  requirePermission("events:manage", eventCollegeScope),
+  [
+    ...slotIdValidation,
+    body("startsAt").optional().isISO8601().withMessage("Invalid slot start time"),
+    body("endsAt").optional().isISO8601().withMessage("Invalid slot end time"),
+    body("capacity").optional().isInt({ min: 1, max: 10000 }).withMessage("Capacity must be 1-10000"),
+    body("registrationClosesAt").optional().isISO8601().withMessage("Invalid registration cutoff"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const event = await CampusEvent.findOne({ _id: req.params.id, isActive: true })
+      const slot = event?.slots.id(req.params.slotId)
+      if (!slot || slot.isCancelled) {
+        return res.status(404).json({ message: "Slot not found" })
+      }
+
+      const before = slot.toObject()
+      const { startsAt, endsAt, capacity, registrationClosesAt } = req.body
+
+      const times = {
+        startsAt: startsAt ? new Date(startsAt) : slot.startsAt,
+        endsAt: endsAt ? new Date(endsAt) : slot.endsAt,
+      }
+      if (times.endsAt <= times.startsAt) {
+        return res.status(400).json({ message: "Slot must end after it starts" })
+      }
+
+      const changes = {}
+      if (startsAt) changes["slots.$.startsAt"] = times.startsAt
+      if (endsAt) changes["slots.$.endsAt"] = times.endsAt
+      if (registrationClosesAt) changes["slots.$.registrationClosesAt"] = new Date(registrationClosesAt)
+
+      const update = Object.keys(changes).length ? { $set: changes } : {}
+
+      // Capacity and free seats move together, and only if no booking raced past the new limit
+      const delta = capacity === undefined ? 0 : Number(capacity) - slot.capacity
+      const slotMatch = { _id: slot._id, capacity: slot.capacity }
+      if (delta !== 0) {
+        update.$inc = { "slots.$.capacity": delta, "slots.$.seatsAvailable": delta }
+        if (delta < 0) slotMatch.seatsAvailable = { $gte: -delta }
+      }
+
+      const updated = await CampusEvent.findOneAndUpdate({ _id: event._id, slots: { $elemMatch: slotMatch } }, update, {
+        new: true,
+      })
+      if (!updated) {
+        return res.status(409).json({ message: "Capacity cannot be lowered below the number of places already booked" })
+      }
+
+      if (delta > 0) await fillFromWaitlist(event._id, slot._id)
+
+      const after = (await CampusEvent.findById(event._id)).slots.id(slot._id)
+
+      await recordAudit(req, {
+        action: "event.slot.update",
+        entityType: "CampusEvent",
+        entityId: event._id,
+        before,
+        after,
+        metadata: { slot: slot._id },
+      })
+
+      res.json({
+        success: true,
+        data: after,
+        message: "Slot updated successfully",
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @route   DELETE /api/events/:id/slots/:slotId
+// @desc    Cancel a single slot and its bookings
+// @access  Private (events:manage, scoped to the college)
+router.delete(
+  "/:id/slots/:slotId",
+  requirePermission("events:manage", eventCollegeScope),
+  slotIdValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const event = await CampusEvent.findOneAndUpdate(
+        { _id: req.params.id, isActive: true, slots: { $elemMatch: { _id: req.params.slotId, isCancelled: false } } },
+        { $set: { "slots.$.isCancelled": true } },
+        { new: true },
+      )
+      if (!event) {
+        return res.status(404).json({ message: "Slot not found" })
+      }
+
+      const bookingsCancelled = await cancelSlotBookings(event, [req.params.slotId])
+
+      await recordAudit(req, {
+        action: "event.slot.delete",
+        entityType: "CampusEvent",
+        entityId: event._id,
+        before: { isCancelled: false },
+        after: { isCancelled: true },
+        metadata: { slot: req.params.slotId, bookingsCancelled },
+      })
+
+      res.json({
+        success: true,
+        message: "Slot cancelled successfully",
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @route   GET /api/events/:id/bookings
+// @desc    Attendee and waitlist lists for an event, per slot
+// @access  Private (events:manage, scoped to the college)
+router.get(
+  "/:id/bookings",
+  requirePermission("events:manage", eventCollegeScope),
+  eventIdValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const event = await CampusEvent.findById(req.params.id)
+      if (!event) {
+        return res.status(404).json({ message: "Event not found" })
+      }
+
+      const bookings = await EventBooking.find({ event: event._id, isActive: true })
+        .populate("user", "name email profile.phone")
+        .sort({ createdAt: 1 })
+
+      const slots = event.slots.map((slot) => {
+        const slotBookings = bookings.filter((booking) => booking.slot.equals(slot._id))
+        return {
+          ...slot.toObject(),
+          attendees: slotBookings.filter((booking) => booking.status === "booked"),
+          waitlist: slotBookings.filter((booking) => booking.status === "waitlisted"),
+        }
+      })
+
+      res.json({
+        success: true,
+        data: { event: event._id, title: event.title, slots },
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// Shared lookup for the booking routes: the slot must exist and still accept registrations
+const findBookableSlot = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id) || !mongoose.isValidObjectId(req.params.slotId)) {
+    res.status(404).json({ message: "Slot not found" })
+    return null
+  }
+
+  const event = await CampusEvent.findOne({ _id: req.params.id, isActive: true })
+  const slot = event?.slots.id(req.params.slotId)
+  if (!slot || slot.isCancelled) {
+    res.status(404).json({ message: "Slot not found" })
+    return null
+  }
+
+  if (!slot.isOpenForRegistration()) {
+    res.status(400).json({ message: "Registration for this slot has closed" })
+    return null
+  }
+
+  const existing = await EventBooking.findOne({ slot: slot._id, user: req.user._id, isActive: true })
+  if (existing) {
+    res.status(400).json({
+      message: existing.status === "booked" ? "You have already booked this slot" : "You are already on the waitlist",
+    })
+    return null
+  }
+
+  return { event, slot }
+}
+
+// @route   POST /api/events/:id/slots/:slotId/book
+// @desc    Book a place in an event slot
+// @access  Private
+router.post("/:id/slots/:slotId/book", auth, requireVerifiedEmail, async (req, res) => {
+  try {
+    const found = await findBookableSlot(req, res)
+    if (!found) return
+    const { event, slot } = found
+
+    if (!(await takeSeat(event._id, slot._id))) {
+      return res.status(409).json({ message: "This slot is full", waitlistAvailable: true })
+    }
+
+    let booking
+    try {
+      booking = await EventBooking.create({ event: event._id, slot: slot._id, user: req.user._id, status: "booked" })
+    } catch (error) {
+      await releaseSeat(event._id, slot._id)
+      if (error.code === 11000) {
+        return res.status(400).json({ message: "You have already booked this slot" })
+      }
+      throw error
+    }
+
+    await notifyBooking("eventBooked", booking)
+
+    res.status(201).json({
+      success: true,
+      data: booking,
+      message: "Booking confirmed",
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST /api/events/:id/slots/:slotId/waitlist
+// @desc    Join the waitlist for a full slot
+// @access  Private
+router.post("/:id/slots/:slotId/waitlist", auth, requireVerifiedEmail, async (req, res) => {
+  try {
+    const found = await findBookableSlot(req, res)
+    if (!found) return
+    const { event, slot } = found
+
+    if (slot.seatsAvailable > 0) {
+      return res.status(400).json({ message: "This slot still has places available" })
+    }
+
+    let booking
+    try {
+      booking = await EventBooking.create({
+        event: event._id,
+        slot: slot._id,
+        user: req.user._id,
+        status: "waitlisted",
+      })
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({ message: "You are already on the waitlist" })
+      }
+      throw error
+    }
+
+    // A seat may have been released between the capacity check and joining the list
+    await fillFromWaitlist(event._id, slot._id)
+    booking = await EventBooking.findById(booking._id)
+
+    if (booking.status === "booked") {
+      return res.status(201).json({ success: true, data: booking, message: "A place opened up - booking confirmed" })
+    }
+
+    const position = await EventBooking.countDocuments({
+      slot: slot._id,
+      status: "waitlisted",
+      createdAt: { $lte: booking.createdAt },
+    })
+
+    res.status(201).json({
+      success: true,
+      data: { ...booking.toObject(), position },
+      message: `Added to the waitlist at position ${position}`,
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+module.exports = router
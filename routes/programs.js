@@ -0,0 +1,96 @@
+const express = require("express")
+const { query, validationResult } = require("express-validator")
+const College = require("../models/College")
+const { escapeRegex } = require("../utils/search")
+const { PUBLISHED_FILTER } = require("../utils/collegeDrafts")
+const { programDetails } = require("../utils/programs")
+
+const router = express.Router()
+
+const DEGREES = ["associate", "bachelor", "master", "doctoral", "certificate"]
+
+// @route   GET /api/programs
+// @desc    Search programs across all published colleges by name, degree and state
+// @access  Public
+router.get(
+  "/",
+  [
+    query("name").optional().trim().isLength({ max: 100 }).withMessage("Name is too long"),
+    query("degree").optional().isIn(DEGREES).withMessage("Invalid degree"),
+    query("state").optional().trim().isLength({ max: 50 }).withMessage("Invalid state"),
+    query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
+    query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const { name, degree, state, page = 1, limit = 20 } = req.query
+
+      const programMatch = {}
+      if (name) programMatch.name = { $regex: escapeRegex(name), $options: "i" }
+      if (degree) programMatch.degree = degree
+
+      const collegeMatch = { ...PUBLISHED_FILTER }
+      if (state && state !== "all") collegeMatch["location.state"] = state
+      if (Object.keys(programMatch).length > 0) collegeMatch["academics.programs"] = { $elemMatch: programMatch }
+
+      // Colleges are narrowed first, then each matching program becomes its own result
+      const unwoundMatch = Object.fromEntries(
+        Object.entries(programMatch).map(([key, value]) => [`academics.programs.${key}`, value]),
+      )
+
+      const [result] = await College.aggregate([
+        { $match: collegeMatch },
+        { $unwind: "$academics.programs" },
+        { $match: unwoundMatch },
+        {
+          $facet: {
+            programs: [
+              { $sort: { "academics.programs.name": 1, name: 1, "academics.programs._id": 1 } },
+              { $skip: (page - 1) * limit },
+              { $limit: Number.parseInt(limit) },
+              {
+                $project: {
+                  name: 1,
+                  slug: 1,
+                  location: 1,
+                  images: 1,
+                  "academics.programs": 1,
+                  "admissions.applicationDeadlines": 1,
+                  "admissions.requirements": 1,
+                  "admissions.applicationFee": 1,
+                  "costs.tuition": 1,
+                },
+              },
+            ],
+            total: [{ $count: "count" }],
+          },
+        },
+      ])
+
+      const total = result.total[0]?.count || 0
+
+      res.json({
+        success: true,
+        data: {
+          programs: result.programs.map((college) => programDetails(college, college.academics.programs)),
+          pagination: {
+            current: Number.parseInt(page),
+            pages: Math.ceil(total / limit),
+            total,
+            limit: Number.parseInt(limit),
+          },
+        },
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+module.exports = router
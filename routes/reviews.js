@@ -3,47 +3,14 @@ const { body, validationResult } = require("express-validator")
 const Review = require("../models/Review")
 const College = require("../models/College")
 const User = require("../models/User")
-const { auth, adminAuth } = require("../middleware/auth")
+const { auth, requirePermission, requireVerifiedEmail } = require("../middleware/auth")
+const { scopeCollegeFilter } = require("../utils/permissions")
+const { notify } = require("../utils/mailer")
+const { recordAudit } = require("../utils/auditLog")
+const { updateCollegeRatings } = require("../utils/reviewHelpers")
 
 const router = express.Router()
 
-// Helper function to update college ratings
-const updateCollegeRatings = async (collegeId) => {
-  const reviews = await Review.find({ college: collegeId, isActive: true })
-
-  if (reviews.length === 0) {
-    await College.findByIdAndUpdate(collegeId, {
-      "reviews.averageRating": 0,
-      "reviews.totalReviews": 0,
-      "reviews.ratingBreakdown": {
-        academics: 0,
-        campusLife: 0,
-        facilities: 0,
-        location: 0,
-        value: 0,
-      },
-    })
-    return
-  }
-
-  const totalReviews = reviews.length
-  const averageRating = reviews.reduce((sum, review) => sum + review.ratings.overall, 0) / totalReviews
-
-  const ratingBreakdown = {
-    academics: reviews.reduce((sum, review) => sum + review.ratings.academics, 0) / totalReviews,
-    campusLife: reviews.reduce((sum, review) => sum + review.ratings.campusLife, 0) / totalReviews,
-    facilities: reviews.reduce((sum, review) => sum + review.ratings.facilities, 0) / totalReviews,
-    location: reviews.reduce((sum, review) => sum + review.ratings.location, 0) / totalReviews,
-    value: reviews.reduce((sum, review) => sum + review.ratings.value, 0) / totalReviews,
-  }
-
-  await College.findByIdAndUpdate(collegeId, {
-    "reviews.averageRating": Math.round(averageRating * 10) / 10,
-    "reviews.totalReviews": totalReviews,
-    "reviews.ratingBreakdown": ratingBreakdown,
-  })
-}
-
 // @route   GET /api/reviews
 // @desc    Get all reviews with filtering and pagination
 // @access  Public
@@ -241,6 +208,7 @@ router.get("/:id", async (req, res) => {
 router.post(
   "/",
   auth,
+  requireVerifiedEmail,
   [
     body("college").isMongoId().withMessage("Valid college ID is required"),
     body("title").trim().isLength({ min: 5, max: 100 }).withMessage("Title must be 5-100 characters"),
@@ -499,9 +467,9 @@ router.get("/user/my-reviews", auth, async (req, res) => {
 // Admin Routes
 
 // @route   GET /api/reviews/admin/reported
-// @desc    Get reported reviews (Admin only)
-// @access  Private/Admin
-router.get("/admin/reported", adminAuth, async (req, res) => {
+// @desc    Get reported reviews (Admin or moderator)
+// @access  Private (reviews:moderate)
+router.get("/admin/reported", requirePermission("reviews:moderate"), async (req, res) => {
   try {
     const { page = 1, limit = 20 } = req.query
 
@@ -539,22 +507,23 @@ router.get("/admin/reported", adminAuth, async (req, res) => {
 })
 
 // @route   POST /api/reviews/admin/:id/moderate
-// @desc    Moderate review (Admin only)
-// @access  Private/Admin
-router.post("/:id/moderate", adminAuth, async (req, res) => {
+// @desc    Moderate review (Admin or moderator)
+// @access  Private (reviews:moderate)
+router.post("/:id/moderate", requirePermission("reviews:moderate"), async (req, res) => {
   try {
     const { id } = req.params
     const { action, reason } = req.body // action: 'approve', 'remove', 'warn'
 
-    const review = await Review.findById(id)
+    const review = await Review.findById(id).populate("user", "name email")
 
     if (!review) {
       return res.status(404).json({ message: "Review not found" })
     }
 
+    const before = review.toObject({ depopulate: true })
+
     if (action === "remove") {
       review.isActive = false
-      await updateCollegeRatings(review.college)
     } else if (action === "approve") {
       // Clear reports
       review.reported = { count: 0, users: [] }
@@ -562,6 +531,24 @@ router.post("/:id/moderate", adminAuth, async (req, res) => {
 
     await review.save()
 
+    // Recalculate after saving so the removed review is excluded
+    if (action === "remove") {
+      await updateCollegeRatings(review.college)
+    }
+
+    await recordAudit(req, {
+      action: `review.${action}`,
+      entityType: "Review",
+      entityId: review._id,
+      before,
+      after: review,
+      metadata: reason ? { reason } : undefined,
+    })
+
+    if (review.user) {
+      notify("reviewModeration", review.user.email, { user: review.user, review, action, reason })
+    }
+
     res.json({
       success: true,
       message: `Review ${action}d successfully`,
@@ -573,15 +560,16 @@ router.post("/:id/moderate", adminAuth, async (req, res) => {
 })
 
 // @route   GET /api/reviews/admin/analytics
-// @desc    Get review analytics (Admin only)
-// @access  Private/Admin
-router.get("/admin/analytics", adminAuth, async (req, res) => {
+// @desc    Get review analytics (Admin, moderators, counselors, or staff for their colleges)
+// @access  Private (reviews:analytics)
+router.get("/admin/analytics", requirePermission("reviews:analytics"), async (req, res) => {
   try {
     const { college, period = "month" } = req.query
 
     const matchQuery = { isActive: true }
-    if (college) {
-      matchQuery.college = college
+    const collegeFilter = scopeCollegeFilter(req.collegeScope, college)
+    if (collegeFilter) {
+      matchQuery.college = collegeFilter
     }
 
     // Overall statistics
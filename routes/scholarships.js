@@ -0,0 +1,246 @@
+const express = require("express")
+const mongoose = require("mongoose")
+const { query, validationResult } = require("express-validator")
+const College = require("../models/College")
+const { auth } = require("../middleware/auth")
+const { escapeRegex } = require("../utils/search")
+const { PUBLISHED_FILTER } = require("../utils/collegeDrafts")
+const { isDomesticCountry, stateNames, residencyStatus } = require("../utils/costEstimate")
+const {
+  INCOME_BANDS,
+  RESIDENCY_STATUSES,
+  DEGREE_LEVELS,
+  evaluateEligibility,
+  studentFromProfile,
+  scholarshipDetails,
+} = require("../utils/scholarships")
+
+const router = express.Router()
+
+const SORTS = {
+  amount: { "financialAid.scholarships.amount": -1 },
+  deadline: { "financialAid.scholarships.deadline": 1 },
+  name: { "financialAid.scholarships.name": 1 },
+}
+
+// Scholarships with a rule match when the rule allows `value`; those without the rule match too
+const openTo = (path, value) => ({
+  $or: [{ [path]: value }, { [path]: { $exists: false } }, { [path]: { $size: 0 } }],
+})
+
+// @route   GET /api/scholarships
+// @desc    Search scholarships across all published colleges. Eligibility filters (degreeLevel,
+//          major, residency, gpa) match scholarships open to that student. Expired ones are
+//          left out unless includeExpired is set.
+// @access  Public
+router.get(
+  "/",
+  [
+    query("q").optional().trim().isLength({ max: 100 }).withMessage("Search is too long"),
+    query("college").optional().isMongoId().withMessage("Invalid college ID"),
+    query("state").optional().trim().isLength({ max: 50 }).withMessage("Invalid state"),
+    query("minAmount").optional().isFloat({ min: 0 }).withMessage("Minimum amount must be a positive number").toFloat(),
+    query("degreeLevel").optional().isIn(DEGREE_LEVELS).withMessage("Invalid degree level"),
+    query("major").optional().trim().isLength({ max: 100 }).withMessage("Major is too long"),
+    query("residency").optional().isIn(RESIDENCY_STATUSES).withMessage("Invalid residency"),
+    query("gpa").optional().isFloat({ min: 0, max: 4 }).withMessage("GPA must be between 0 and 4").toFloat(),
+    query("needBased").optional().isBoolean().withMessage("needBased must be true or false").toBoolean(),
+    query("includeExpired").optional().isBoolean().withMessage("includeExpired must be true or false").toBoolean(),
+    query("sortBy").optional().isIn(Object.keys(SORTS)).withMessage("Invalid sort"),
+    query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
+    query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const {
+        q,
+        college,
+        state,
+        minAmount,
+        degreeLevel,
+        major,
+        residency,
+        gpa,
+        needBased,
+        includeExpired,
+        sortBy = "amount",
+        page = 1,
+        limit = 20,
+      } = req.query
+
+      const collegeMatch = { ...PUBLISHED_FILTER, "financialAid.scholarships.0": { $exists: true } }
+      if (college) collegeMatch._id = new mongoose.Types.ObjectId(college)
+      if (state && state !== "all") collegeMatch["location.state"] = state
+
+      const path = (field) => `financialAid.scholarships.${field}`
+      const conditions = []
+      if (q) conditions.push({ [path("name")]: { $regex: escapeRegex(q), $options: "i" } })
+      if (minAmount !== undefined) conditions.push({ [path("amount")]: { $gte: minAmount } })
+      if (degreeLevel) conditions.push(openTo(path("eligibility.degreeLevels"), degreeLevel))
+      if (major) {
+        conditions.push(openTo(path("eligibility.majors"), { $regex: escapeRegex(major), $options: "i" }))
+      }
+      if (residency) conditions.push(openTo(path("eligibility.residency"), residency))
+      if (gpa !== undefined) {
+        conditions.push({
+          $or: [{ [path("eligibility.minGpa")]: { $lte: gpa } }, { [path("eligibility.minGpa")]: null }],
+        })
+      }
+      if (needBased === true) conditions.push({ [path("eligibility.needBased")]: true })
+      if (needBased === false) conditions.push({ [path("eligibility.needBased")]: { $ne: true } })
+      if (!includeExpired) {
+        conditions.push({ $or: [{ [path("deadline")]: { $gte: new Date() } }, { [path("deadline")]: null }] })
+      }
+
+      // Each scholarship becomes its own result; colleges are narrowed first
+      const [result] = await College.aggregate([
+        { $match: collegeMatch },
+        { $unwind: "$financialAid.scholarships" },
+        { $match: conditions.length > 0 ? { $and: conditions } : {} },
+        {
+          $facet: {
+            scholarships: [
+              { $sort: { ...SORTS[sortBy], name: 1, "financialAid.scholarships._id": 1 } },
+              { $skip: (page - 1) * limit },
+              { $limit: Number.parseInt(limit) },
+              { $project: { name: 1, slug: 1, location: 1, "financialAid.scholarships": 1 } },
+            ],
+            total: [{ $count: "count" }],
+          },
+        },
+      ])
+
+      const total = result.total[0]?.count || 0
+
+      res.json({
+        success: true,
+        data: {
+          scholarships: result.scholarships.map((item) => scholarshipDetails(item, item.financialAid.scholarships)),
+          pagination: {
+            current: Number.parseInt(page),
+            pages: Math.ceil(total / limit),
+            total,
+            limit: Number.parseInt(limit),
+          },
+        },
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @route   GET /api/scholarships/eligible
+// @desc    Scholarships the current user qualifies for, matched against their profile's
+//          education, address and intended majors. Those that depend on something the profile
+//          doesn't say (e.g. the income band, which can be passed in) are listed separately
+//          with what's missing.
+// @access  Private
+router.get(
+  "/eligible",
+  auth,
+  [
+    query("incomeBand")
+      .optional()
+      .isIn(INCOME_BANDS)
+      .withMessage(`Income band must be one of: ${INCOME_BANDS.join(", ")}`),
+    query("degreeLevel").optional().isIn(DEGREE_LEVELS).withMessage("Invalid degree level"),
+    query("savedOnly").optional().isBoolean().withMessage("savedOnly must be true or false").toBoolean(),
+    query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const { incomeBand, degreeLevel, savedOnly, limit = 50 } = req.query
+      const profile = req.user.profile || {}
+      const student = studentFromProfile(profile, { incomeBand, degreeLevel })
+      const address = profile.address || {}
+
+      // Only load colleges with a scholarship the student could get: still open, for their degree
+      // and residency. Everything else is checked per scholarship below.
+      const now = new Date()
+      const open = [{ $or: [{ deadline: { $gte: now } }, { deadline: null }] }]
+      if (student.degreeLevels?.length) open.push(openTo("eligibility.degreeLevels", { $in: student.degreeLevels }))
+
+      const filter = { ...PUBLISHED_FILTER }
+      if (savedOnly) filter._id = { $in: req.user.savedColleges || [] }
+      if (!address.state && !address.country) {
+        filter["financialAid.scholarships"] = { $elemMatch: { $and: open } }
+      } else if (!isDomesticCountry(address.country)) {
+        filter["financialAid.scholarships"] = {
+          $elemMatch: { $and: [...open, openTo("eligibility.residency", "international")] },
+        }
+      } else {
+        // Awards only for in-state students can only match colleges in the student's state
+        const states = stateNames(address.state).map((name) => new RegExp(`^\\s*${escapeRegex(name)}\\s*$`, "i"))
+        filter.$or = [
+          {
+            "financialAid.scholarships": {
+              $elemMatch: {
+                $and: [...open, openTo("eligibility.residency", { $in: ["out-of-state", "international"] })],
+              },
+            },
+          },
+        ]
+        if (states.length > 0) {
+          filter.$or.push({
+            "location.state": { $in: states },
+            "financialAid.scholarships": { $elemMatch: { $and: open } },
+          })
+        }
+      }
+
+      const colleges = await College.find(filter).select("name slug location financialAid.scholarships").lean()
+
+      const eligible = []
+      const possiblyEligible = []
+      colleges.forEach((college) => {
+        // Residency depends on where the college is; without an address it stays unknown
+        const residency = address.state || address.country ? residencyStatus(college, address) : null
+
+        college.financialAid.scholarships.forEach((scholarship) => {
+          if (scholarship.deadline && new Date(scholarship.deadline) < now) return
+
+          const { status, checks } = evaluateEligibility(scholarship, { ...student, residency })
+          if (status === "ineligible") return
+
+          const match = { ...scholarshipDetails(college, scholarship), checks }
+          if (status === "eligible") eligible.push(match)
+          else possiblyEligible.push({ ...match, missing: checks.filter((item) => item.status === "unknown") })
+        })
+      })
+
+      const byAmount = (a, b) => (b.amount || 0) - (a.amount || 0) || String(a.name).localeCompare(String(b.name))
+      eligible.sort(byAmount)
+      possiblyEligible.sort((a, b) => a.missing.length - b.missing.length || byAmount(a, b))
+
+      // Profile details that would settle the possible matches, to prompt the student to fill in
+      const profileGaps = [...new Set(possiblyEligible.flatMap((match) => match.missing.map((item) => item.rule)))]
+
+      res.json({
+        success: true,
+        data: {
+          eligible: eligible.slice(0, Number.parseInt(limit)),
+          possiblyEligible: possiblyEligible.slice(0, Number.parseInt(limit)),
+          totals: { eligible: eligible.length, possiblyEligible: possiblyEligible.length },
+          profileGaps,
+        },
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+module.exports = router
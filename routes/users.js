@@ -1,7 +1,21 @@
+const crypto = require("crypto")
 const express = require("express")
-const { auth } = require("../middleware/auth")
+const { body, param, validationResult } = require("express-validator")
+const { auth, sessionAuth, requirePermission } = require("../middleware/auth")
+const { ROLE_NAMES, hasPermission, canAccessCollege } = require("../utils/permissions")
+const { generateApiKey } = require("../utils/apiKeys")
+const { recordAudit } = require("../utils/auditLog")
+const { buildUserExport, eraseUserData } = require("../utils/accountData")
+const { revokeUserSessions, hashToken } = require("../utils/authTokens")
+const { notify } = require("../utils/mailer")
+const { buildCalendar, collegeDeadlineEntries, scholarshipDeadlineEntries } = require("../utils/icalendar")
+const { ADMISSION_CHANCE_FIELDS, classifyAdmission, balancedRecommendations } = require("../utils/admissionChances")
+const { PUBLISHED_FILTER } = require("../utils/collegeDrafts")
 const User = require("../models/User")
 const College = require("../models/College")
+const ApiKey = require("../models/ApiKey")
+const Application = require("../models/Application")
+const EventBooking = require("../models/EventBooking")
 
 const router = express.Router()
 
@@ -89,14 +103,45 @@ router.get("/dashboard", auth, async (req, res) => {
       recommendedColleges = await College.find({
         "academics.programs.name": { $in: user.profile.preferences.interestedMajors },
         _id: { $nin: user.savedColleges },
+        ...PUBLISHED_FILTER,
       })
         .limit(6)
         .select("name slug location images reviews academics")
     }
 
+    // Balanced reach/target/safety picks from colleges the student hasn't saved yet,
+    // preferring ones that match their interests
+    let admissionRecommendations = null
+    const education = user.profile.education || {}
+    if (education.gpa != null || education.testScores?.sat != null || education.testScores?.act != null) {
+      const interested = recommendedColleges.map((college) => college._id)
+      const [matching, topRated] = await Promise.all([
+        College.find({ _id: { $in: interested } }).select(ADMISSION_CHANCE_FIELDS),
+        College.find({ ...PUBLISHED_FILTER, _id: { $nin: [...user.savedColleges, ...interested] } })
+          .sort({ "reviews.averageRating": -1 })
+          .limit(50)
+          .select(ADMISSION_CHANCE_FIELDS),
+      ])
+      const candidates = [...matching, ...topRated]
+
+      admissionRecommendations = balancedRecommendations(
+        candidates.map((college) => ({
+          ...classifyAdmission(college, user.profile),
+          college: {
+            id: college._id,
+            name: college.name,
+            slug: college.slug,
+            location: college.location,
+            images: college.images,
+          },
+        })),
+      )
+    }
+
     // Get upcoming deadlines
     const upcomingDeadlines = await College.find({
       "admissions.applicationDeadlines.regular": { $gte: new Date() },
+      ...PUBLISHED_FILTER,
     })
       .sort({ "admissions.applicationDeadlines.regular": 1 })
       .limit(5)
@@ -109,6 +154,7 @@ router.get("/dashboard", auth, async (req, res) => {
         savedColleges: user.savedColleges,
         applications: user.applications,
         recommendedColleges,
+        admissionRecommendations,
         upcomingDeadlines,
         stats: {
           savedColleges: user.savedColleges.length,
@@ -155,4 +201,556 @@ router.put("/preferences", auth, async (req, res) => {
   }
 })
 
+// @route   GET /api/users/me/comparisons
+// @desc    List the current user's saved college comparisons
+// @access  Private
+router.get("/me/comparisons", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select("savedComparisons")
+      .populate("savedComparisons.colleges", "name slug location.city location.state images")
+
+    res.json({
+      success: true,
+      data: user.savedComparisons,
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST /api/users/me/comparisons
+// @desc    Save a named comparison of 2-4 colleges
+// @access  Private
+router.post(
+  "/me/comparisons",
+  auth,
+  [
+    body("name").trim().isLength({ min: 1, max: 60 }).withMessage("Name must be between 1 and 60 characters"),
+    body("collegeIds").isArray({ min: 2, max: 4 }).withMessage("Choose between 2 and 4 colleges to compare"),
+    body("collegeIds.*").isMongoId().withMessage("Invalid college ID"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const collegeIds = [...new Set(req.body.collegeIds)]
+      if (collegeIds.length < 2) {
+        return res.status(400).json({ message: "Choose between 2 and 4 colleges to compare" })
+      }
+
+      const colleges = await College.countDocuments({ _id: { $in: collegeIds }, ...PUBLISHED_FILTER })
+      if (colleges !== collegeIds.length) {
+        return res.status(404).json({ message: "One or more colleges were not found" })
+      }
+
+      const user = await User.findById(req.user._id).select("savedComparisons")
+      if (user.savedComparisons.length >= 20) {
+        return res.status(400).json({ message: "You can save at most 20 comparisons" })
+      }
+
+      user.savedComparisons.push({ name: req.body.name, colleges: collegeIds })
+      await user.save()
+
+      res.status(201).json({
+        success: true,
+        data: user.savedComparisons[user.savedComparisons.length - 1],
+        message: "Comparison saved successfully",
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @route   DELETE /api/users/me/comparisons/:comparisonId
+// @desc    Delete a saved comparison
+// @access  Private
+router.delete(
+  "/me/comparisons/:comparisonId",
+  auth,
+  [param("comparisonId").isMongoId().withMessage("Invalid comparison ID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const result = await User.updateOne(
+        { _id: req.user._id, "savedComparisons._id": req.params.comparisonId },
+        { $pull: { savedComparisons: { _id: req.params.comparisonId } } },
+      )
+
+      if (result.modifiedCount === 0) {
+        return res.status(404).json({ message: "Comparison not found" })
+      }
+
+      res.json({
+        success: true,
+        message: "Comparison deleted successfully",
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @route   GET /api/users/me/export
+// @desc    Download a JSON archive of all data stored about the current user
+// @access  Private (not available to API keys)
+router.get("/me/export", sessionAuth, async (req, res) => {
+  try {
+    const archive = await buildUserExport(req.user._id)
+    if (!archive) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    res.attachment(`college-booking-export-${req.user._id}.json`)
+    res.json(archive)
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   DELETE /api/users/me
+// @desc    Schedule deletion of the current user's account after a grace period
+// @access  Private (password, or an emailed code for accounts without one)
+router.delete(
+  "/me",
+  auth,
+  [
+    body("password")
+      .if(body("reauthCode").not().exists())
+      .exists()
+      .withMessage("Password is required to delete your account"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const user = await User.findById(req.user.id).select("+password")
+      if (!user) {
+        return res.status(404).json({ message: "User not found" })
+      }
+
+      const isMatch = await user.confirmPassword(req.body.password, req.body.reauthCode)
+      if (!isMatch) {
+        const message = user.password ? "Password is incorrect" : "Confirmation code is invalid or has expired"
+        return res.status(400).json({ message })
+      }
+
+      const graceDays = Number.parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS ?? "30")
+
+      if (graceDays <= 0) {
+        const summary = await eraseUserData(user._id)
+        return res.json({
+          success: true,
+          data: summary,
+          message: "Account deleted successfully",
+        })
+      }
+
+      const scheduledFor = new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000)
+      user.deletion = { requestedAt: new Date(), scheduledFor }
+      await user.save()
+
+      // Keep this session so the user can still cancel, but sign out everywhere else
+      await revokeUserSessions(user._id, "logout", req.authSession._id)
+
+      notify("accountDeletionScheduled", user.email, { user, scheduledFor })
+
+      res.json({
+        success: true,
+        data: { scheduledFor },
+        message: `Account scheduled for deletion on ${scheduledFor.toDateString()}`,
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @route   POST /api/users/me/restore
+// @desc    Cancel a pending account deletion
+// @access  Private
+router.post("/me/restore", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+
+    if (!user?.deletion?.scheduledFor) {
+      return res.status(400).json({ message: "Account is not scheduled for deletion" })
+    }
+
+    user.deletion = undefined
+    await user.save()
+
+    res.json({
+      success: true,
+      message: "Account deletion cancelled",
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   GET /api/users/me/api-keys
+// @desc    List the current user's API keys
+// @access  Private (not available to API keys)
+router.get("/me/api-keys", sessionAuth, async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.user._id, revokedAt: { $exists: false } })
+      .populate("colleges", "name slug")
+      .sort({ createdAt: -1 })
+
+    res.json({
+      success: true,
+      data: apiKeys,
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST /api/users/me/api-keys
+// @desc    Create a named, scoped API key. The key is only returned once.
+// @access  Private (not available to API keys)
+router.post(
+  "/me/api-keys",
+  sessionAuth,
+  [
+    body("name").trim().isLength({ min: 1, max: 50 }).withMessage("Name must be between 1 and 50 characters"),
+    body("scopes").isArray({ min: 1 }).withMessage("At least one scope is required"),
+    body("scopes.*")
+      .isIn(ApiKey.SCOPES)
+      .withMessage(`Scopes must be one of: ${ApiKey.SCOPES.join(", ")}`),
+    body("colleges").optional().isArray().withMessage("Colleges must be an array"),
+    body("colleges.*").isMongoId().withMessage("Invalid college ID"),
+    body("expiresInDays").optional().isInt({ min: 1, max: 365 }).withMessage("Expiry must be 1-365 days"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const { name, scopes, colleges = [], expiresInDays } = req.body
+
+      // A key can never do more than its owner
+      const missing = scopes.filter((scope) => scope.startsWith("applications:") && !hasPermission(req.user, scope))
+      if (missing.length > 0) {
+        return res.status(403).json({ message: `You do not have permission to grant: ${missing.join(", ")}` })
+      }
+
+      if (colleges.some((collegeId) => !canAccessCollege(req.user, collegeId))) {
+        return res.status(403).json({ message: "Access denied for this college" })
+      }
+
+      const activeKeys = await ApiKey.countDocuments({ user: req.user._id, revokedAt: { $exists: false } })
+      if (activeKeys >= 20) {
+        return res.status(400).json({ message: "You can have at most 20 active API keys" })
+      }
+
+      const { key, prefix, keyHash } = generateApiKey()
+      const apiKey = new ApiKey({
+        user: req.user._id,
+        name,
+        prefix,
+        keyHash,
+        scopes: [...new Set(scopes)],
+        colleges,
+        expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined,
+      })
+      await apiKey.save()
+
+      res.status(201).json({
+        success: true,
+        data: {
+          id: apiKey._id,
+          name: apiKey.name,
+          prefix: apiKey.prefix,
+          scopes: apiKey.scopes,
+          colleges: apiKey.colleges,
+          expiresAt: apiKey.expiresAt,
+          key,
+        },
+        message: "API key created. Copy it now, it will not be shown again.",
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @route   DELETE /api/users/me/api-keys/:keyId
+// @desc    Revoke one of the current user's API keys
+// @access  Private (not available to API keys)
+router.delete(
+  "/me/api-keys/:keyId",
+  sessionAuth,
+  [param("keyId").isMongoId().withMessage("Invalid API key ID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const { keyId } = req.params
+
+      const apiKey = await ApiKey.findOneAndUpdate(
+        { _id: keyId, user: req.user._id, revokedAt: { $exists: false } },
+        { revokedAt: new Date() },
+      )
+
+      if (!apiKey) {
+        return res.status(404).json({ message: "API key not found" })
+      }
+
+      res.json({
+        success: true,
+        message: "API key revoked successfully",
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// Calendar entries for the user's live event bookings; waitlist places show as tentative
+const bookingEntries = (bookings, since) => {
+  return bookings
+    .map((booking) => ({ booking, event: booking.event, slot: booking.event?.slots.id(booking.slot) }))
+    .filter(({ event, slot }) => event?.isActive && slot && !slot.isCancelled && slot.endsAt >= since)
+    .map(({ booking, event, slot }) => ({
+      uid: `event-booking-${booking._id}`,
+      summary: `${booking.status === "waitlisted" ? "Waitlisted: " : ""}${event.title} - ${event.college?.name || "Campus event"}`,
+      description: event.description,
+      start: slot.startsAt,
+      end: slot.endsAt,
+      // The link to join is only for confirmed places, not the waitlist
+      location: event.isVirtual
+        ? booking.status === "booked"
+          ? event.virtualLink
+          : "Online"
+        : [event.location?.address, event.location?.room].filter(Boolean).join(", "),
+      url: event.isVirtual && booking.status === "booked" ? event.virtualLink : undefined,
+      status: booking.status === "booked" ? "CONFIRMED" : "TENTATIVE",
+      lastModified: booking.updatedAt,
+    }))
+}
+
+// @route   POST /api/users/me/calendar-feed
+// @desc    Create (or replace) the private calendar feed URL. The URL is only returned once.
+// @access  Private
+router.post("/me/calendar-feed", auth, async (req, res) => {
+  try {
+    const token = crypto.randomBytes(32).toString("base64url")
+
+    await User.updateOne(
+      { _id: req.user._id },
+      { calendarFeed: { tokenHash: hashToken(token), createdAt: new Date() } },
+    )
+
+    res.status(201).json({
+      success: true,
+      data: {
+        url: `${req.protocol}://${req.get("host")}/api/users/calendar/${token}.ics`,
+      },
+      message: "Calendar feed created. Any previous feed URL no longer works.",
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   DELETE /api/users/me/calendar-feed
+// @desc    Disable the private calendar feed
+// @access  Private
+router.delete("/me/calendar-feed", auth, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { $unset: { calendarFeed: 1 } })
+
+    res.json({
+      success: true,
+      message: "Calendar feed disabled",
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   GET /api/users/calendar/:token.ics
+// @desc    Private ICS feed: deadlines for saved colleges and draft applications,
+//          scholarship deadlines and booked campus events
+// @access  Public (secret feed token)
+router.get("/calendar/:token.ics", async (req, res) => {
+  try {
+    const user = await User.findOne({ "calendarFeed.tokenHash": hashToken(req.params.token) })
+    if (!user) {
+      return res.status(404).json({ message: "Calendar feed not found" })
+    }
+
+    // Keep recently passed items for a month so they don't vanish the day after
+    const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)
+
+    const [drafts, bookings] = await Promise.all([
+      Application.find({ applicant: user._id, status: "draft" }).select("college program"),
+      EventBooking.find({ user: user._id, isActive: true }).populate({
+        path: "event",
+        select: "title description college isVirtual location virtualLink slots isActive",
+        populate: { path: "college", select: "name" },
+      }),
+    ])
+
+    const collegeIds = [...user.savedColleges, ...drafts.map((draft) => draft.college)].map((id) => id.toString())
+    const colleges = await College.find({ _id: { $in: [...new Set(collegeIds)] }, ...PUBLISHED_FILTER }).select(
+      "name admissions.applicationDeadlines financialAid.scholarships updatedAt",
+    )
+
+    const entries = []
+    colleges.forEach((college) => {
+      const programs = drafts.filter((draft) => draft.college.equals(college._id)).map((draft) => draft.program)
+      const description = programs.length ? `Draft application: ${programs.join(", ")}` : undefined
+
+      collegeDeadlineEntries(college, since).forEach((entry) => entries.push({ ...entry, description }))
+      entries.push(...scholarshipDeadlineEntries(college, since))
+    })
+    entries.push(...bookingEntries(bookings, since))
+
+    res.set({
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": 'inline; filename="college-booking.ics"',
+      "Cache-Control": "private, max-age=900",
+    })
+    res.send(
+      buildCalendar({
+        name: "College Booking",
+        description: "Application deadlines, scholarships and campus visits",
+        entries,
+      }),
+    )
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// Admin Routes
+
+// @route   POST /api/users/admin/:id/unlock
+// @desc    Clear a login lockout on an account (Admin only)
+// @access  Private (users:unlock)
+router.post("/admin/:id/unlock", requirePermission("users:unlock"), async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const user = await User.findById(id)
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    const before = user.toObject()
+    await user.resetLoginFailures()
+
+    await recordAudit(req, {
+      action: "user.unlock",
+      entityType: "User",
+      entityId: user._id,
+      before,
+      after: user,
+    })
+
+    res.json({
+      success: true,
+      message: "Account unlocked successfully",
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   PUT /api/users/admin/:id/role
+// @desc    Assign a role and, for college staff, the colleges they manage (Super admin only)
+// @access  Private (users:assign-roles)
+router.put(
+  "/admin/:id/role",
+  requirePermission("users:assign-roles"),
+  [
+    body("role").isIn(ROLE_NAMES).withMessage(`Role must be one of: ${ROLE_NAMES.join(", ")}`),
+    body("staffColleges").optional().isArray().withMessage("Staff colleges must be an array"),
+    body("staffColleges.*").isMongoId().withMessage("Invalid college ID"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const { id } = req.params
+      const { role, staffColleges = [] } = req.body
+
+      if (role === "college-staff" && staffColleges.length === 0) {
+        return res.status(400).json({ message: "College staff must be assigned at least one college" })
+      }
+
+      const colleges = await College.countDocuments({ _id: { $in: staffColleges } })
+      if (colleges !== staffColleges.length) {
+        return res.status(404).json({ message: "College not found" })
+      }
+
+      const user = await User.findById(id)
+      if (!user) {
+        return res.status(404).json({ message: "User not found" })
+      }
+
+      const before = user.toObject()
+      user.role = role
+      user.staffColleges = role === "college-staff" ? staffColleges : []
+      await user.save()
+
+      await recordAudit(req, {
+        action: "user.role",
+        entityType: "User",
+        entityId: user._id,
+        before,
+        after: user,
+      })
+
+      res.json({
+        success: true,
+        data: {
+          id: user._id,
+          role: user.role,
+          staffColleges: user.staffColleges,
+        },
+        message: "Role updated successfully",
+      })
+    } catch (error) {
+      console.error(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
 module.exports = router
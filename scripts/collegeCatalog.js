@@ -0,0 +1,93 @@
+const fs = require("fs")
+const path = require("path")
+const mongoose = require("mongoose")
+const dotenv = require("dotenv")
+const { parseRecords, importColleges, exportColleges } = require("../utils/collegeCatalog")
+
+dotenv.config()
+
+const USAGE = `Usage:
+  node scripts/collegeCatalog.js import <file.csv|file.json> [--mapping mapping.json] [--dry-run] [--publish]
+  node scripts/collegeCatalog.js export [--format csv|json] [--out file] [--include-inactive]`
+
+// Minimal flag parsing: "--name value" pairs and bare boolean "--flag"s
+const parseArgs = (args) => {
+  const options = { positional: [] }
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+    if (!arg.startsWith("--")) {
+      options.positional.push(arg)
+    } else if (["--dry-run", "--publish", "--include-inactive"].includes(arg)) {
+      options[arg.slice(2)] = true
+    } else {
+      options[arg.slice(2)] = args[++i]
+    }
+  }
+  return options
+}
+
+const runImport = async (options) => {
+  const [file] = options.positional
+  if (!file) throw new Error(USAGE)
+
+  const format = path.extname(file).toLowerCase() === ".json" ? "json" : "csv"
+  const records = parseRecords(format, fs.readFileSync(file, "utf8"))
+  const mapping = options.mapping ? JSON.parse(fs.readFileSync(options.mapping, "utf8")) : null
+
+  const report = await importColleges(records, {
+    mapping,
+    dryRun: Boolean(options["dry-run"]),
+    publish: Boolean(options.publish),
+  })
+
+  report.rows
+    .filter((row) => row.errors.length > 0)
+    .forEach((row) => {
+      row.errors.forEach(({ path: field, message }) =>
+        console.warn(`Row ${row.row} (${row.slug}): ${field} - ${message}`),
+      )
+    })
+
+  console.log(
+    `${report.dryRun ? "Dry run: would create" : "Created"} ${report.created}, ` +
+      `${report.dryRun ? "update" : "updated"} ${report.updated}, ` +
+      `${report.dryRun ? "stage" : "staged"} ${report.staged} for review, ${report.failed} row(s) with errors`,
+  )
+  return report.failed > 0 ? 1 : 0
+}
+
+const runExport = async (options) => {
+  const format = options.format || (options.out?.endsWith(".json") ? "json" : "csv")
+  if (!["csv", "json"].includes(format)) throw new Error(USAGE)
+
+  const output = await exportColleges(format, { includeInactive: Boolean(options["include-inactive"]) })
+  if (options.out) {
+    fs.writeFileSync(options.out, output)
+    console.log(`Exported colleges to ${options.out}`)
+  } else {
+    process.stdout.write(output)
+  }
+  return 0
+}
+
+const commands = { import: runImport, export: runExport }
+
+const run = async () => {
+  const [command, ...args] = process.argv.slice(2)
+  if (!commands[command]) {
+    console.error(USAGE)
+    process.exit(1)
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || "mongodb://localhost:27017/college-booking")
+
+    const exitCode = await commands[command](parseArgs(args))
+    process.exit(exitCode)
+  } catch (error) {
+    console.error("Error running catalog command:", error.message)
+    process.exit(1)
+  }
+}
+
+run()
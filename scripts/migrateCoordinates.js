@@ -0,0 +1,62 @@
+const mongoose = require("mongoose")
+const dotenv = require("dotenv")
+const College = require("../models/College")
+const { toGeoPoint } = require("../utils/geo")
+
+dotenv.config()
+
+// Convert location.coordinates from { latitude, longitude } to a GeoJSON point and build the
+// 2dsphere index. Safe to re-run: documents already holding a point are skipped, and
+// coordinates that can't be converted are removed (and listed) so the index can be built.
+const migrateCoordinates = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || "mongodb://localhost:27017/college-booking")
+
+    console.log("Connected to MongoDB")
+
+    // Raw collection access: the schema no longer describes the legacy shape
+    const cursor = College.collection.find(
+      { "location.coordinates": { $exists: true }, "location.coordinates.type": { $ne: "Point" } },
+      { projection: { name: 1, "location.coordinates": 1 } },
+    )
+
+    const operations = []
+    let converted = 0
+    let removed = 0
+
+    for await (const college of cursor) {
+      const point = toGeoPoint(college.location.coordinates)
+
+      if (point?.type === "Point") {
+        operations.push({
+          updateOne: { filter: { _id: college._id }, update: { $set: { "location.coordinates": point } } },
+        })
+        converted++
+      } else {
+        console.warn(`Removing invalid coordinates from ${college.name} (${college._id})`)
+        operations.push({
+          updateOne: { filter: { _id: college._id }, update: { $unset: { "location.coordinates": 1 } } },
+        })
+        removed++
+      }
+
+      if (operations.length >= 500) {
+        await College.collection.bulkWrite(operations.splice(0))
+      }
+    }
+
+    if (operations.length > 0) {
+      await College.collection.bulkWrite(operations)
+    }
+
+    await College.collection.createIndex({ "location.coordinates": "2dsphere" })
+
+    console.log(`Converted ${converted} college(s), removed ${removed} invalid coordinate(s)`)
+    process.exit(0)
+  } catch (error) {
+    console.error("Error migrating coordinates:", error)
+    process.exit(1)
+  }
+}
+
+migrateCoordinates()
@@ -0,0 +1,66 @@
+const mongoose = require("mongoose")
+const dotenv = require("dotenv")
+const College = require("../models/College")
+const { hasStructuredRules, rulesFromCriteria } = require("../utils/scholarships")
+
+dotenv.config()
+
+// Store the residency and need requirements of scholarships that only have free-text criteria
+// as eligibility rules, so searches and eligibility matching both use them. Safe to re-run:
+// scholarships that already have rules are left alone.
+const migrateScholarshipRules = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || "mongodb://localhost:27017/college-booking")
+
+    console.log("Connected to MongoDB")
+
+    const cursor = College.collection.find(
+      { "financialAid.scholarships.criteria": { $exists: true, $ne: "" } },
+      { projection: { name: 1, "financialAid.scholarships": 1 } },
+    )
+
+    const operations = []
+    let colleges = 0
+    let migrated = 0
+
+    for await (const college of cursor) {
+      let changed = false
+      const scholarships = college.financialAid.scholarships.map((scholarship) => {
+        if (hasStructuredRules(scholarship.eligibility)) return scholarship
+
+        const rules = rulesFromCriteria(scholarship.criteria)
+        if (Object.keys(rules).length === 0) return scholarship
+
+        changed = true
+        migrated++
+        return { ...scholarship, eligibility: { ...scholarship.eligibility, ...rules } }
+      })
+
+      if (changed) {
+        operations.push({
+          updateOne: {
+            filter: { _id: college._id },
+            update: { $set: { "financialAid.scholarships": scholarships } },
+          },
+        })
+        colleges++
+      }
+
+      if (operations.length >= 500) {
+        await College.collection.bulkWrite(operations.splice(0))
+      }
+    }
+
+    if (operations.length > 0) {
+      await College.collection.bulkWrite(operations)
+    }
+
+    console.log(`Added eligibility rules to ${migrated} scholarship(s) at ${colleges} college(s)`)
+    process.exit(0)
+  } catch (error) {
+    console.error("Error migrating scholarship rules:", error)
+    process.exit(1)
+  }
+}
+
+migrateScholarshipRules()
@@ -0,0 +1,107 @@
+const crypto = require("crypto")
+const express = require("express")
+const jwt = require("jsonwebtoken")
+const dotenv = require("dotenv")
+
+dotenv.config()
+
+// Minimal OpenID Connect issuer for local development and tests. It approves every
+// authorization request as the user given by ?login_hint= (or MOCK_OIDC_EMAIL).
+// Configure the API with:
+// OIDC_PROVIDERS='[{"id":"mock","name":"Mock","issuer":"http://localhost:4010","clientId":"college-booking","clientSecret":"secret"}]'
+
+const PORT = process.env.MOCK_OIDC_PORT || 4010
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`
+const DEFAULT_EMAIL = process.env.MOCK_OIDC_EMAIL || "student@example.edu"
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 })
+const jwk = { ...publicKey.export({ format: "jwk" }), kid: "mock-key", use: "sig", alg: "RS256" }
+
+const codes = new Map()
+
+const app = express()
+app.use(express.urlencoded({ extended: false }))
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    code_challenge_methods_supported: ["S256"],
+    token_endpoint_auth_methods_supported: ["client_secret_basic", "client_secret_post", "none"],
+  })
+})
+
+app.get("/jwks", (req, res) => {
+  res.json({ keys: [jwk] })
+})
+
+app.get("/authorize", (req, res) => {
+  const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, login_hint } = req.query
+
+  if (!client_id || !redirect_uri || !code_challenge || code_challenge_method !== "S256") {
+    return res.status(400).json({ error: "invalid_request" })
+  }
+
+  const email = (login_hint || DEFAULT_EMAIL).toLowerCase()
+  const code = crypto.randomBytes(16).toString("hex")
+  codes.set(code, { client_id, redirect_uri, nonce, code_challenge, email, expiresAt: Date.now() + 60000 })
+
+  const redirect = new URL(redirect_uri)
+  redirect.searchParams.set("code", code)
+  if (state) redirect.searchParams.set("state", state)
+  res.redirect(redirect.toString())
+})
+
+app.post("/token", (req, res) => {
+  let clientId = req.body.client_id
+  const basic = req.get("Authorization")?.match(/^Basic (.+)$/)
+  if (basic) {
+    clientId = decodeURIComponent(Buffer.from(basic[1], "base64").toString().split(":")[0])
+  }
+
+  const grant = codes.get(req.body.code)
+  codes.delete(req.body.code)
+
+  const challenge = crypto
+    .createHash("sha256")
+    .update(req.body.code_verifier || "")
+    .digest("base64url")
+
+  if (
+    !grant ||
+    grant.expiresAt < Date.now() ||
+    grant.client_id !== clientId ||
+    grant.redirect_uri !== req.body.redirect_uri ||
+    grant.code_challenge !== challenge
+  ) {
+    return res.status(400).json({ error: "invalid_grant" })
+  }
+
+  const idToken = jwt.sign(
+    {
+      sub: crypto.createHash("sha256").update(grant.email).digest("hex").slice(0, 24),
+      email: grant.email,
+      email_verified: true,
+      name: grant.email.split("@")[0],
+      nonce: grant.nonce,
+    },
+    privateKey,
+    { algorithm: "RS256", keyid: jwk.kid, issuer: ISSUER, audience: grant.client_id, expiresIn: "5m" },
+  )
+
+  res.json({
+    access_token: crypto.randomBytes(16).toString("hex"),
+    token_type: "Bearer",
+    expires_in: 300,
+    id_token: idToken,
+  })
+})
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC issuer running at ${ISSUER}`)
+})
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose")
+const dotenv = require("dotenv")
+const { publishScheduledColleges } = require("../utils/collegeDrafts")
+
+dotenv.config()
+
+// Publish approved college drafts whose scheduled time has passed. Intended to run from cron
+// every few minutes.
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || "mongodb://localhost:27017/college-booking")
+
+    console.log("Connected to MongoDB")
+
+    const published = await publishScheduledColleges()
+    published.forEach((college) => console.log(`Published ${college.name} (${college._id})`))
+
+    console.log(`Published ${published.length} scheduled college(s)`)
+    process.exit(0)
+  } catch (error) {
+    console.error("Error publishing scheduled colleges:", error)
+    process.exit(1)
+  }
+}
+
+run()
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose")
+const dotenv = require("dotenv")
+const User = require("../models/User")
+const { eraseUserData } = require("../utils/accountData")
+
+dotenv.config()
+
+// Erase accounts whose deletion grace period has passed. Intended to run daily from cron.
+const purgeDeletedAccounts = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || "mongodb://localhost:27017/college-booking")
+
+    console.log("Connected to MongoDB")
+
+    const users = await User.find({ "deletion.scheduledFor": { $lte: new Date() } }).select("_id email")
+
+    for (const user of users) {
+      const summary = await eraseUserData(user._id)
+      console.log(`Erased account ${user._id}:`, summary)
+    }
+
+    console.log(`Purged ${users.length} account(s)`)
+    process.exit(0)
+  } catch (error) {
+    console.error("Error purging accounts:", error)
+    process.exit(1)
+  }
+}
+
+purgeDeletedAccounts()
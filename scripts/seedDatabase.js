@@ -110,16 +110,16 @@ const seedDatabase = async () => {
     await College.insertMany(colleges)
     console.log("Colleges seeded successfully")
 
-    // Create admin user
+    // Create super admin user
     const adminUser = new User({
       name: "Admin User",
       email: "admin@collegebooking.com",
       password: "admin123",
-      role: "admin",
+      role: "super-admin",
     })
 
     await adminUser.save()
-    console.log("Admin user created")
+    console.log("Admin user created (enroll 2FA via POST /api/auth/2fa/enroll before using admin routes)")
 
     console.log("Database seeded successfully!")
     process.exit(0)
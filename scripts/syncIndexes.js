@@ -0,0 +1,28 @@
+const mongoose = require("mongoose")
+const dotenv = require("dotenv")
+const College = require("../models/College")
+
+dotenv.config()
+
+// Bring College indexes in line with the schema. Needed when an index definition changes,
+// e.g. the weighted text index, because MongoDB won't replace an existing index in place.
+const syncIndexes = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || "mongodb://localhost:27017/college-booking")
+
+    console.log("Connected to MongoDB")
+
+    const dropped = await College.syncIndexes()
+    if (dropped.length > 0) {
+      console.log(`Dropped outdated indexes: ${dropped.join(", ")}`)
+    }
+
+    console.log("College indexes are up to date")
+    process.exit(0)
+  } catch (error) {
+    console.error("Error syncing indexes:", error)
+    process.exit(1)
+  }
+}
+
+syncIndexes()
@@ -7,6 +7,12 @@ const collegeRoutes = require("./routes/colleges")
 const admissionRoutes = require("./routes/admissions")
 const reviewRoutes = require("./routes/reviews")
 const userRoutes = require("./routes/users")
+const adminRoutes = require("./routes/admin")
+const eventRoutes = require("./routes/events")
+const collegeMediaRoutes = require("./routes/collegeMedia")
+const programRoutes = require("./routes/programs")
+const scholarshipRoutes = require("./routes/scholarships")
+const { getMediaStorage } = require("./utils/mediaStorage")
 const { apiLimiter } = require("./middleware/rateLimiter")
 
 // Load environment variables
@@ -20,11 +26,19 @@ app.use(
   cors({
     origin: process.env.FRONTEND_URL || "http://localhost:3000",
     credentials: true,
+    // Lets the frontend read a college's revision and send it back in If-Match
+    exposedHeaders: ["ETag"],
   }),
 )
 app.use(express.json({ limit: "10mb" }))
 app.use(express.urlencoded({ extended: true, limit: "10mb" }))
 
+// Uploaded college media, when stored on local disk
+const mediaStorage = getMediaStorage()
+if (mediaStorage.name === "local" && mediaStorage.baseUrl.startsWith("/")) {
+  app.use(mediaStorage.baseUrl, express.static(mediaStorage.directory, { maxAge: "7d" }))
+}
+
 // Apply rate limiting
 app.use("/api/", apiLimiter)
 
@@ -40,9 +54,14 @@ mongoose
 // Routes
 app.use("/api/auth", authRoutes)
 app.use("/api/colleges", collegeRoutes)
+app.use("/api/colleges/:id/media", collegeMediaRoutes)
 app.use("/api/admissions", admissionRoutes)
 app.use("/api/reviews", reviewRoutes)
 app.use("/api/users", userRoutes)
+app.use("/api/admin", adminRoutes)
+app.use("/api/events", eventRoutes)
+app.use("/api/programs", programRoutes)
+app.use("/api/scholarships", scholarshipRoutes)
 
 // Health check endpoint
 app.get("/api/health", (req, res) => {
@@ -0,0 +1,108 @@
+const mongoose = require("mongoose")
+const User = require("../models/User")
+const Application = require("../models/Application")
+const Review = require("../models/Review")
+const Session = require("../models/Session")
+const ApiKey = require("../models/ApiKey")
+const EventBooking = require("../models/EventBooking")
+const { updateCollegeRatings } = require("./reviewHelpers")
+const { cancelBooking } = require("./eventBookings")
+
+// Credentials and one-time tokens stay out of the archive; anyone holding one could use it
+const EXPORT_EXCLUDED_FIELDS =
+  "-emailVerificationToken -passwordResetToken -passwordResetExpires -pendingEmail.tokenHash -calendarFeed.tokenHash"
+
+// Collect everything stored about a user across collections into one JSON-friendly archive
+const buildUserExport = async (userId) => {
+  const user = await User.findById(userId).select(EXPORT_EXCLUDED_FIELDS).populate("savedColleges", "name slug")
+  if (!user) return null
+
+  const [applications, reviews, helpfulVotes, reports, sessions, apiKeys, eventBookings] = await Promise.all([
+    Application.find({ applicant: userId }).populate("college", "name slug"),
+    Review.find({ user: userId }).populate("college", "name slug").select("-helpful.users -reported.users"),
+    Review.find({ "helpful.users": userId }).select("title college createdAt"),
+    Review.find({ "reported.users": userId }).select("title college createdAt"),
+    Session.find({ user: userId }).select("userAgent ipAddress createdAt lastUsedAt expiresAt revokedAt"),
+    ApiKey.find({ user: userId }),
+    EventBooking.find({ user: userId }).populate("event", "title type college"),
+  ])
+
+  const profile = user.toObject()
+  delete profile.savedColleges
+  delete profile.applications
+
+  return {
+    exportedAt: new Date(),
+    profile,
+    savedColleges: user.savedColleges.map((college) => ({ id: college._id, name: college.name, slug: college.slug })),
+    applications,
+    reviews,
+    votes: {
+      helpful: helpfulVotes.map((review) => ({ review: review._id, title: review.title, college: review.college })),
+      reported: reports.map((review) => ({ review: review._id, title: review.title, college: review.college })),
+    },
+    sessions,
+    apiKeys,
+    eventBookings,
+  }
+}
+
+// Permanently erase a user. Draft applications and reviews are deleted; submitted applications
+// keep only their decision data so college statistics stay correct.
+const eraseUserData = async (userId) => {
+  const user = await User.findById(userId)
+  if (!user) return null
+
+  // Reviews written by the user, then the college ratings they contributed to
+  const reviews = await Review.find({ user: userId }).select("college")
+  const affectedColleges = [...new Set(reviews.map((review) => review.college.toString()))]
+  const deletedReviews = await Review.deleteMany({ user: userId })
+
+  // Votes the user cast on other people's reviews
+  await Review.updateMany(
+    { "helpful.users": userId },
+    { $pull: { "helpful.users": userId }, $inc: { "helpful.count": -1 } },
+  )
+  await Review.updateMany(
+    { "reported.users": userId },
+    { $pull: { "reported.users": userId }, $inc: { "reported.count": -1 } },
+  )
+
+  for (const collegeId of affectedColleges) {
+    await updateCollegeRatings(collegeId)
+  }
+
+  // Kept applications point at a fresh id that belongs to no account, so nothing links them
+  // back to the erased user while the unique applicant/college/program index still holds
+  const tombstone = new mongoose.Types.ObjectId()
+  const deletedApplications = await Application.deleteMany({ applicant: userId, status: "draft" })
+  const anonymizedApplications = await Application.updateMany(
+    { applicant: userId },
+    {
+      $set: { applicant: tombstone, applicationData: {}, documents: [], notes: [], anonymizedAt: new Date() },
+      $unset: { "fees.transactionId": 1 },
+    },
+  )
+
+  // Free booked seats for the waitlist before dropping the user's bookings
+  const liveBookings = await EventBooking.find({ user: userId, isActive: true })
+  for (const booking of liveBookings) {
+    await cancelBooking(booking)
+  }
+  await EventBooking.deleteMany({ user: userId })
+
+  await Session.deleteMany({ user: userId })
+  await ApiKey.deleteMany({ user: userId })
+  await User.deleteOne({ _id: userId })
+
+  return {
+    reviewsDeleted: deletedReviews.deletedCount,
+    applicationsDeleted: deletedApplications.deletedCount,
+    applicationsAnonymized: anonymizedApplications.modifiedCount,
+  }
+}
+
+module.exports = {
+  buildUserExport,
+  eraseUserData,
+}
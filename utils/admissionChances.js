@@ -0,0 +1,176 @@
+// Reach / target / safety classification of a college for a student, from their GPA and test
+// scores against the college's published requirements. Test ranges are treated as the
+// middle 50% of admitted students. This is guidance only, never a prediction.
+
+// Colleges admitting fewer than this share of applicants are a reach for everyone
+const HIGHLY_SELECTIVE_RATE = 15
+
+const ADMISSION_CHANCE_FIELDS = "name slug location images admissions.requirements admissions.acceptanceRate"
+
+const gpaFactor = (gpa, minimum) => {
+  const factor = { factor: "gpa", studentValue: gpa ?? null, collegeValue: minimum ?? null }
+
+  if (gpa == null || minimum == null) {
+    return {
+      ...factor,
+      assessment: "unknown",
+      points: 0,
+      explanation:
+        gpa == null ? "Add your GPA to your profile to include it" : "This college doesn't publish a GPA minimum",
+    }
+  }
+
+  if (gpa < minimum) {
+    return {
+      ...factor,
+      assessment: "below",
+      points: -2,
+      explanation: `Your GPA of ${gpa} is below the minimum of ${minimum}`,
+    }
+  }
+
+  if (gpa >= minimum + 0.5) {
+    return {
+      ...factor,
+      assessment: "above",
+      points: 1,
+      explanation: `Your GPA of ${gpa} is well above the minimum of ${minimum}`,
+    }
+  }
+
+  return {
+    ...factor,
+    assessment: "within",
+    points: 0,
+    explanation: `Your GPA of ${gpa} meets the minimum of ${minimum}`,
+  }
+}
+
+const testFactor = (name, score, range) => {
+  const factor = {
+    factor: name.toLowerCase(),
+    studentValue: score ?? null,
+    collegeValue: range?.min != null ? range : null,
+  }
+
+  if (score == null || range?.min == null || range?.max == null) {
+    return {
+      ...factor,
+      assessment: "unknown",
+      points: 0,
+      explanation: score == null ? `No ${name} score in your profile` : `This college doesn't publish a ${name} range`,
+    }
+  }
+
+  if (score < range.min) {
+    return {
+      ...factor,
+      assessment: "below",
+      points: -1,
+      explanation: `Your ${name} of ${score} is below the typical range of ${range.min}-${range.max}`,
+    }
+  }
+
+  if (score > range.max) {
+    return {
+      ...factor,
+      assessment: "above",
+      points: 1,
+      explanation: `Your ${name} of ${score} is above the typical range of ${range.min}-${range.max}`,
+    }
+  }
+
+  return {
+    ...factor,
+    assessment: "within",
+    points: 0,
+    explanation: `Your ${name} of ${score} is within the typical range of ${range.min}-${range.max}`,
+  }
+}
+
+const acceptanceFactor = (rate) => {
+  const factor = { factor: "acceptanceRate", studentValue: null, collegeValue: rate ?? null }
+
+  if (rate == null) {
+    return {
+      ...factor,
+      assessment: "unknown",
+      points: 0,
+      explanation: "This college doesn't publish an acceptance rate",
+    }
+  }
+  if (rate < HIGHLY_SELECTIVE_RATE) {
+    return {
+      ...factor,
+      assessment: "highly-selective",
+      points: -2,
+      explanation: `Only ${rate}% of applicants are admitted, so this is a reach for every applicant`,
+    }
+  }
+  if (rate < 30) {
+    return { ...factor, assessment: "selective", points: -1, explanation: `A selective ${rate}% acceptance rate` }
+  }
+  if (rate > 75) {
+    return { ...factor, assessment: "accessible", points: 1, explanation: `Most applicants (${rate}%) are admitted` }
+  }
+  return { ...factor, assessment: "moderate", points: 0, explanation: `A moderate ${rate}% acceptance rate` }
+}
+
+const classifyAdmission = (college, profile) => {
+  const education = profile?.education || {}
+  const requirements = college.admissions?.requirements || {}
+  const acceptanceRate = college.admissions?.acceptanceRate
+
+  const gpa = gpaFactor(education.gpa, requirements.gpaMinimum)
+  const sat = testFactor("SAT", education.testScores?.sat, requirements.testScores?.satRange)
+  const act = testFactor("ACT", education.testScores?.act, requirements.testScores?.actRange)
+  const acceptance = acceptanceFactor(acceptanceRate)
+
+  // Students only need one test; count whichever compares better
+  const tests = [sat, act].filter((factor) => factor.assessment !== "unknown")
+  const bestTest = tests.sort((a, b) => b.points - a.points)[0]
+
+  const academic = [gpa, bestTest].filter((factor) => factor && factor.assessment !== "unknown")
+  const factors = [gpa, sat, act, acceptance]
+
+  let classification
+  if (academic.length === 0) {
+    classification = "unknown"
+  } else if (acceptance.assessment === "highly-selective" || gpa.assessment === "below") {
+    classification = "reach"
+  } else {
+    const score = academic.reduce((sum, factor) => sum + factor.points, 0) + acceptance.points
+    classification = score >= 2 ? "safety" : score >= 0 ? "target" : "reach"
+  }
+
+  return {
+    college: { id: college._id, name: college.name, slug: college.slug },
+    classification,
+    factors: factors.map((factor) => {
+      const { points, ...details } = factor
+      const counted = academic.includes(factor) || (factor === acceptance && factor.assessment !== "unknown")
+      return { ...details, counted }
+    }),
+    summary:
+      classification === "unknown"
+        ? "Add your GPA or test scores to your profile to see where you stand"
+        : `Based on your profile this college looks like a ${classification}`,
+  }
+}
+
+// Pick a balanced shortlist from classified candidates: a couple of reaches, mostly targets
+// and a couple of safeties
+const balancedRecommendations = (results, counts = { reach: 2, target: 3, safety: 2 }) => {
+  return Object.fromEntries(
+    Object.entries(counts).map(([classification, count]) => [
+      classification,
+      results.filter((result) => result.classification === classification).slice(0, count),
+    ]),
+  )
+}
+
+module.exports = {
+  ADMISSION_CHANCE_FIELDS,
+  classifyAdmission,
+  balancedRecommendations,
+}
@@ -0,0 +1,55 @@
+const crypto = require("crypto")
+const ApiKey = require("../models/ApiKey")
+const { hashToken } = require("./authTokens")
+
+const API_KEY_PREFIX = "cbk_"
+
+// Which key scope unlocks each permission checked by requirePermission.
+// Permissions missing here can never be exercised with an API key.
+const PERMISSION_SCOPES = {
+  "colleges:analytics": "colleges:read",
+  "applications:read": "applications:read",
+  "applications:analytics": "applications:read",
+  "applications:decide": "applications:decide",
+}
+
+const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`
+  return { key, prefix: key.slice(0, 12), keyHash: hashToken(key) }
+}
+
+// Read a key from X-API-Key, or from a Bearer header carrying a key instead of a JWT
+const extractApiKey = (req) => {
+  const header = req.header("X-API-Key")
+  if (header) return header
+
+  const bearer = req.header("Authorization")?.replace("Bearer ", "")
+  return bearer?.startsWith(API_KEY_PREFIX) ? bearer : null
+}
+
+const findActiveApiKey = async (key) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) })
+  return apiKey && apiKey.isActive() ? apiKey : null
+}
+
+const apiKeyAllows = (apiKey, permission) => {
+  const scope = PERMISSION_SCOPES[permission]
+  return Boolean(scope) && apiKey.scopes.includes(scope)
+}
+
+// Narrow a user's college scope (null = everywhere) to the colleges the key is limited to
+const narrowCollegeScope = (collegeScope, apiKey) => {
+  if (!apiKey?.colleges?.length) return collegeScope
+
+  const keyColleges = apiKey.colleges.map((id) => id.toString())
+  return collegeScope ? collegeScope.filter((id) => keyColleges.includes(id)) : keyColleges
+}
+
+module.exports = {
+  PERMISSION_SCOPES,
+  generateApiKey,
+  extractApiKey,
+  findActiveApiKey,
+  apiKeyAllows,
+  narrowCollegeScope,
+}
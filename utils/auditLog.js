@@ -0,0 +1,66 @@
+const mongoose = require("mongoose")
+const AuditLog = require("../models/AuditLog")
+
+const IGNORED_PATHS = ["_id", "__v", "createdAt", "updatedAt"]
+
+const isLeaf = (value) =>
+  value === null ||
+  typeof value !== "object" ||
+  Array.isArray(value) ||
+  value instanceof Date ||
+  value instanceof mongoose.Types.ObjectId
+
+// Flatten a plain object into { "a.b.c": value }, treating arrays as single values
+const flatten = (object, prefix = "", result = {}) => {
+  Object.entries(object || {}).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key
+    if (isLeaf(value)) {
+      result[path] = value
+    } else {
+      flatten(value, path, result)
+    }
+  })
+  return result
+}
+
+const toPlain = (doc) => {
+  if (!doc) return {}
+  return typeof doc.toObject === "function" ? doc.toObject({ depopulate: true }) : doc
+}
+
+// Compare two document snapshots and list the paths whose values differ
+const diffSnapshots = (before, after) => {
+  const flatBefore = flatten(toPlain(before))
+  const flatAfter = flatten(toPlain(after))
+  const paths = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)])
+
+  return [...paths]
+    .filter((path) => !IGNORED_PATHS.includes(path.split(".")[0]))
+    .filter((path) => JSON.stringify(flatBefore[path]) !== JSON.stringify(flatAfter[path]))
+    .map((path) => ({ path, before: flatBefore[path] ?? null, after: flatAfter[path] ?? null }))
+}
+
+// Record an admin or staff action. Audit failures are logged rather than failing the request,
+// because the action itself has already been applied by the time this runs.
+const recordAudit = async (req, { action, entityType, entityId, before, after, metadata }) => {
+  try {
+    await AuditLog.create({
+      actor: req.user._id,
+      actorRole: req.user.role,
+      action,
+      entityType,
+      entityId,
+      changes: diffSnapshots(before, after),
+      metadata,
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent") || "",
+    })
+  } catch (error) {
+    console.error(`Failed to write audit log for ${action}:`, error)
+  }
+}
+
+module.exports = {
+  diffSnapshots,
+  recordAudit,
+}
@@ -0,0 +1,133 @@
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+const Session = require("../models/Session")
+const ApiKey = require("../models/ApiKey")
+
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex")
+}
+
+// Short-lived access token bound to a session, so revoking the session invalidates it
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || "15m",
+  })
+}
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without scanning hashes
+const buildRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(48).toString("hex")
+  return { refreshToken: `${sessionId}.${secret}`, refreshTokenHash: hashToken(secret) }
+}
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== "string") return null
+
+  const [sessionId, secret] = refreshToken.split(".")
+  if (!sessionId || !secret || !/^[a-f\d]{24}$/i.test(sessionId)) return null
+
+  return { sessionId, secret }
+}
+
+const getRequestMeta = (req) => ({
+  userAgent: req.get("User-Agent") || "",
+  ipAddress: req.ip,
+})
+
+const createSession = async (user, req) => {
+  const ttlDays = Number.parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30
+  const session = new Session({
+    user: user._id,
+    expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000),
+    ...getRequestMeta(req),
+  })
+
+  const { refreshToken, refreshTokenHash } = buildRefreshToken(session._id.toString())
+  session.refreshTokenHash = refreshTokenHash
+  await session.save()
+
+  return {
+    session,
+    token: generateAccessToken(user._id, session._id),
+    refreshToken,
+  }
+}
+
+const PREVIOUS_HASHES_KEPT = 5
+
+// Two requests refreshing at once (e.g. parallel tabs) both send the same token; the one that
+// loses the race within this window is turned away without treating it as a replay
+const CONCURRENT_REFRESH_GRACE_MS = 30 * 1000
+
+// Exchange a refresh token for a new token pair. The check and the rotation are one atomic
+// update, so a token can only be exchanged once. Presenting an already-rotated token means it
+// leaked, so the whole session is revoked; a secret that never belonged to the session is just
+// rejected, so knowing a session id isn't enough to sign someone out.
+const rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken)
+  if (!parsed) return null
+
+  const now = new Date()
+  const secretHash = hashToken(parsed.secret)
+  const next = buildRefreshToken(parsed.sessionId)
+
+  const session = await Session.findOneAndUpdate(
+    { _id: parsed.sessionId, refreshTokenHash: secretHash, revokedAt: { $exists: false }, expiresAt: { $gt: now } },
+    {
+      $set: { refreshTokenHash: next.refreshTokenHash, lastUsedAt: now, rotatedAt: now, ...getRequestMeta(req) },
+      $push: { previousRefreshTokenHashes: { $each: [secretHash], $slice: -PREVIOUS_HASHES_KEPT } },
+    },
+    { new: true },
+  )
+
+  if (!session) {
+    const current = await Session.findById(parsed.sessionId).select("+previousRefreshTokenHashes")
+    const previous = current?.previousRefreshTokenHashes || []
+    if (current?.isActive() && previous.includes(secretHash)) {
+      const lostRace = previous.at(-1) === secretHash && now - current.rotatedAt < CONCURRENT_REFRESH_GRACE_MS
+      if (!lostRace) await revokeSession(current._id, "token-reuse")
+    }
+    return null
+  }
+
+  return {
+    session,
+    token: generateAccessToken(session.user, session._id),
+    refreshToken: next.refreshToken,
+  }
+}
+
+const revokeSession = async (sessionId, reason) => {
+  return await Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true },
+  )
+}
+
+const revokeUserSessions = async (userId, reason, exceptSessionId = null) => {
+  const query = { user: userId, revokedAt: { $exists: false } }
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId }
+  }
+
+  const result = await Session.updateMany(query, { revokedAt: new Date(), revokedReason: reason })
+  return result.modifiedCount
+}
+
+// Keys outlive sessions, so anyone who had the password could have created one. Revoke them
+// whenever the password may have been compromised.
+const revokeUserApiKeys = async (userId) => {
+  const result = await ApiKey.updateMany({ user: userId, revokedAt: { $exists: false } }, { revokedAt: new Date() })
+  return result.modifiedCount
+}
+
+module.exports = {
+  hashToken,
+  generateAccessToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  revokeUserApiKeys,
+}
@@ -0,0 +1,308 @@
+const College = require("../models/College")
+const { parseCsv, toCsv, unescapeCell } = require("./csv")
+const { slugify, generateUniqueSlug } = require("./slugify")
+const { parseLatLng, toGeoPoint } = require("./geo")
+const {
+  UNVERSIONED_FIELDS,
+  MEDIA_FIELDS,
+  currentRevision,
+  revisionFilter,
+  recordRevision,
+} = require("./collegeRevisions")
+const { WORKFLOW_FIELDS, previewCollege, stagedChanges } = require("./collegeDrafts")
+
+// Paths that are computed or managed elsewhere and never imported or exported
+// Publishing state is set by the import's `publish` option, never by a column, and media is
+// only added through the media endpoints
+const isExcluded = (path) => [...UNVERSIONED_FIELDS, ...WORKFLOW_FIELDS, ...MEDIA_FIELDS].includes(path.split(".")[0])
+
+// Every importable College path, in schema order. CSV columns default to these names.
+const catalogPaths = () => {
+  const paths = []
+  College.schema.eachPath((path) => {
+    if (!isExcluded(path)) paths.push(path)
+  })
+  return paths
+}
+
+const setPath = (object, path, value) => {
+  const keys = path.split(".")
+  const last = keys.pop()
+  const target = keys.reduce((node, key) => (node[key] ??= {}), object)
+  target[last] = value
+}
+
+const getPath = (object, path) => path.split(".").reduce((value, key) => value?.[key], object)
+
+// Flatten a nested record into { "dotted.path": value }, stopping at schema leaf paths
+// so arrays and embedded documents stay whole
+const flattenRecord = (record, prefix = "", result = {}) => {
+  Object.entries(record || {}).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key
+    const isPlainObject = value && typeof value === "object" && !Array.isArray(value) && !(value instanceof Date)
+    if (isPlainObject && !College.schema.path(path)) {
+      flattenRecord(value, path, result)
+    } else {
+      result[path] = value
+    }
+  })
+  return result
+}
+
+const parseBoolean = (text) => {
+  const value = text.toLowerCase()
+  if (["true", "yes", "y", "1"].includes(value)) return true
+  if (["false", "no", "n", "0"].includes(value)) return false
+  throw new Error("must be true or false")
+}
+
+// Convert a raw cell to the type the schema expects. Text cells hold lists as
+// "a; b; c", nested arrays and points as JSON, and points also as "lat,lng".
+const coerceValue = (path, raw) => {
+  const schemaType = College.schema.path(path)
+  if (raw === undefined || raw === null) return undefined
+  if (typeof raw !== "string") return raw
+
+  const text = unescapeCell(raw).trim()
+  if (text === "") return undefined
+
+  if (schemaType.$isMongooseDocumentArray) {
+    const value = JSON.parse(text)
+    if (!Array.isArray(value)) throw new Error("must be a JSON array")
+    return value
+  }
+
+  switch (schemaType.instance) {
+    case "Number": {
+      const value = Number(text.replace(/[$,\s]/g, ""))
+      if (!Number.isFinite(value)) throw new Error("must be a number")
+      return value
+    }
+    case "Boolean":
+      return parseBoolean(text)
+    case "Date": {
+      const value = new Date(text)
+      if (Number.isNaN(value.getTime())) throw new Error("must be a date")
+      return value
+    }
+    case "Array":
+      return text
+        .split(";")
+        .map((item) => item.trim())
+        .filter(Boolean)
+    case "Embedded": {
+      const point = text.startsWith("{") ? JSON.parse(text) : toGeoPoint(parseLatLng(text))
+      if (!point) throw new Error('must be "latitude,longitude"')
+      return point
+    }
+    default:
+      return text
+  }
+}
+
+// mapping: { "<college path>": "<source column>" }. Without one, columns are college paths.
+const mapRecord = (record, mapping) => {
+  const flat = flattenRecord(record)
+  const fields = mapping || Object.fromEntries(Object.keys(flat).map((key) => [key, key]))
+  const data = {}
+  const errors = []
+
+  Object.entries(fields).forEach(([path, column]) => {
+    if (isExcluded(path) || !College.schema.path(path)) {
+      errors.push({ path, message: "Unknown or read-only field" })
+      return
+    }
+
+    try {
+      const value = coerceValue(path, flat[column])
+      if (value !== undefined) setPath(data, path, value)
+    } catch (error) {
+      errors.push({ path, message: `${column}: ${error.message}` })
+    }
+  })
+
+  return { data, errors }
+}
+
+const validationErrors = (doc) => {
+  const error = doc.validateSync()
+  return error ? Object.values(error.errors).map(({ path, message }) => ({ path, message })) : []
+}
+
+// Parse an import payload. CSV arrives as text; JSON as an array of records (or the text of one).
+const parseRecords = (format, payload) => {
+  if (format === "csv") return parseCsv(payload)
+
+  const records = typeof payload === "string" ? JSON.parse(payload) : payload
+  if (!Array.isArray(records)) throw new Error("JSON imports must be an array of colleges")
+  return records
+}
+
+// Upsert colleges by slug. Rows are validated first; in dry-run mode nothing is written and
+// the report says what would happen. Each write is recorded as a revision by `author` (empty
+// for scripts), then `onSaved(action, before, after)` runs.
+//
+// Imports go through the publishing workflow like edits in the app: new colleges are created
+// as drafts, changes to published colleges are staged for review, and unpublished colleges are
+// edited in place and sent back to draft. With `publish`, rows go live immediately instead;
+// callers must check the author may publish.
+const importColleges = async (records, { mapping, dryRun = false, publish = false, author = null, onSaved } = {}) => {
+  const report = { dryRun, publish, total: records.length, created: 0, updated: 0, staged: 0, failed: 0, rows: [] }
+  const seenSlugs = new Set()
+
+  for (const [index, record] of records.entries()) {
+    // Row numbers match the spreadsheet: the header is row 1
+    const row = { row: index + 2, slug: null, action: null, errors: [] }
+    report.rows.push(row)
+
+    const { data, errors } = mapRecord(record, mapping)
+    row.errors.push(...errors)
+
+    const key = slugify(data.slug || data.name || "")
+    if (!key) {
+      row.errors.push({ path: "slug", message: "A slug or name is required" })
+    } else if (seenSlugs.has(key)) {
+      row.errors.push({ path: "slug", message: `Duplicate slug "${key}" earlier in this file` })
+    }
+    seenSlugs.add(key)
+
+    // A college renamed since the file was exported is still matched by its old slug
+    const existing = key
+      ? await College.findOne({ $or: [{ slug: key }, { previousSlugs: key }] }).select("+draft")
+      : null
+    const before = existing ? existing.toObject() : null
+    let doc
+    let update
+    if (existing) {
+      row.slug = existing.slug
+      delete data.slug
+      // Set only the mapped paths, so a file with some of a college's fields leaves the rest alone
+      const edits = flattenRecord(data)
+      if (existing.isPublished !== false && !publish) {
+        row.action = "stage"
+        doc = previewCollege(existing, edits)
+        const changes = stagedChanges(existing, doc)
+        update =
+          Object.keys(changes).length > 0
+            ? { $set: { draft: { changes, updatedBy: author?._id, updatedAt: new Date() }, status: "draft" } }
+            : { $set: { status: "published" }, $unset: { draft: 1 } }
+      } else {
+        row.action = "update"
+        doc = existing
+        doc.set(edits)
+        update = { $set: { ...edits } }
+        if (existing.isPublished === false && publish) {
+          Object.assign(update.$set, { status: "published", isPublished: true, publishedAt: new Date() })
+          update.$unset = { draft: 1 }
+        } else if (existing.isPublished === false) {
+          // Edited content needs a fresh review, so any submission or schedule is dropped
+          update.$set.status = "draft"
+          update.$unset = {
+            "draft.submittedBy": 1,
+            "draft.submittedAt": 1,
+            "draft.approvedBy": 1,
+            "draft.publishAt": 1,
+          }
+        }
+      }
+    } else {
+      row.action = "create"
+      row.slug = key ? await generateUniqueSlug(College, key) : null
+      doc = new College({
+        ...data,
+        slug: row.slug,
+        ...(publish ? { publishedAt: new Date() } : { status: "draft", isPublished: false }),
+      })
+    }
+
+    row.errors.push(...validationErrors(doc))
+    if (row.errors.length > 0) {
+      row.action = "error"
+      report.failed++
+      continue
+    }
+
+    if (row.action === "stage") report.staged++
+    else if (existing) report.updated++
+    else report.created++
+    if (dryRun) continue
+
+    if (existing) {
+      // The revision filter catches an edit made since the college was read above
+      const saved = await College.findOneAndUpdate(
+        { _id: existing._id, ...revisionFilter(currentRevision(existing)) },
+        { ...update, $inc: { revision: 1 } },
+        { new: true, runValidators: true },
+      ).select("+draft")
+      if (!saved) {
+        if (row.action === "stage") report.staged--
+        else report.updated--
+        row.action = "error"
+        row.errors.push({ path: "revision", message: "The college changed while importing; import this row again" })
+        report.failed++
+        continue
+      }
+
+      row.id = saved._id
+      // Staged edits only become a revision once they are published
+      if (row.action === "update") await recordRevision(author, saved, { action: "import", before })
+      if (onSaved) await onSaved(row.action, before, saved)
+      continue
+    }
+
+    await doc.save()
+    row.id = doc._id
+    await recordRevision(author, doc, { action: "import", before })
+    if (onSaved) await onSaved(row.action, before, doc)
+  }
+
+  return report
+}
+
+// Export the catalog as CSV (one column per path, or per mapping entry) or nested JSON
+const exportColleges = async (format, { mapping, includeInactive = false } = {}) => {
+  const filter = includeInactive ? {} : { isActive: true }
+  const colleges = await College.find(filter).sort({ name: 1 }).select("-__v -reviews -revision").lean()
+
+  // Only importable fields, so an export can be imported again as it is
+  if (format === "json") {
+    return JSON.stringify(
+      colleges.map((college) => Object.fromEntries(Object.entries(college).filter(([field]) => !isExcluded(field)))),
+      null,
+      2,
+    )
+  }
+
+  const fields = mapping || Object.fromEntries(catalogPaths().map((path) => [path, path]))
+  const columns = Object.values(fields)
+
+  const rows = colleges.map((college) => {
+    const row = {}
+    Object.entries(fields).forEach(([path, column]) => {
+      const value = getPath(college, path)
+      const schemaType = College.schema.path(path)
+
+      if (value === undefined || value === null) {
+        row[column] = ""
+      } else if (schemaType?.$isMongooseDocumentArray) {
+        row[column] = value.length ? JSON.stringify(value.map(({ _id, ...item }) => item)) : ""
+      } else if (Array.isArray(value)) {
+        row[column] = value.join("; ")
+      } else if (schemaType?.instance === "Embedded") {
+        row[column] = value.coordinates ? `${value.coordinates[1]},${value.coordinates[0]}` : ""
+      } else {
+        row[column] = value
+      }
+    })
+    return row
+  })
+
+  return toCsv(columns, rows)
+}
+
+module.exports = {
+  catalogPaths,
+  parseRecords,
+  importColleges,
+  exportColleges,
+}
@@ -0,0 +1,199 @@
+// Rows of the comparison matrix. `better` says which end of a row is best for a student;
+// rows without it (test score ranges) are informational and never flagged.
+const COMPARISON_ROWS = [
+  {
+    group: "costs",
+    key: "tuitionInState",
+    label: "Tuition (in-state)",
+    path: "costs.tuition.inState",
+    better: "lower",
+  },
+  {
+    group: "costs",
+    key: "tuitionOutOfState",
+    label: "Tuition (out-of-state)",
+    path: "costs.tuition.outOfState",
+    better: "lower",
+  },
+  {
+    group: "costs",
+    key: "tuitionInternational",
+    label: "Tuition (international)",
+    path: "costs.tuition.international",
+    better: "lower",
+  },
+  { group: "costs", key: "roomAndBoard", label: "Room and board", path: "costs.roomAndBoard", better: "lower" },
+  {
+    group: "costs",
+    key: "totalEstimated",
+    label: "Total estimated cost",
+    path: "costs.totalEstimated",
+    better: "lower",
+  },
+  {
+    group: "costs",
+    key: "applicationFee",
+    label: "Application fee",
+    path: "admissions.applicationFee",
+    better: "lower",
+  },
+  {
+    group: "costs",
+    key: "averageAidPackage",
+    label: "Average aid package",
+    path: "financialAid.averageAidPackage",
+    better: "higher",
+  },
+  // A higher acceptance rate means better odds of getting in
+  {
+    group: "admissions",
+    key: "acceptanceRate",
+    label: "Acceptance rate (%)",
+    path: "admissions.acceptanceRate",
+    better: "higher",
+  },
+  { group: "admissions", key: "gpaMinimum", label: "Minimum GPA", path: "admissions.requirements.gpaMinimum" },
+  {
+    group: "admissions",
+    key: "satMin",
+    label: "SAT range (low)",
+    path: "admissions.requirements.testScores.satRange.min",
+  },
+  {
+    group: "admissions",
+    key: "satMax",
+    label: "SAT range (high)",
+    path: "admissions.requirements.testScores.satRange.max",
+  },
+  {
+    group: "admissions",
+    key: "actMin",
+    label: "ACT range (low)",
+    path: "admissions.requirements.testScores.actRange.min",
+  },
+  {
+    group: "admissions",
+    key: "actMax",
+    label: "ACT range (high)",
+    path: "admissions.requirements.testScores.actRange.max",
+  },
+  {
+    group: "outcomes",
+    key: "graduationRate",
+    label: "Graduation rate (%)",
+    path: "academics.graduationRate",
+    better: "higher",
+  },
+  {
+    group: "outcomes",
+    key: "employmentRate",
+    label: "Employment rate (%)",
+    path: "academics.employmentRate",
+    better: "higher",
+  },
+  {
+    group: "outcomes",
+    key: "averageClassSize",
+    label: "Average class size",
+    path: "academics.averageClassSize",
+    better: "lower",
+  },
+  {
+    group: "ratings",
+    key: "overall",
+    label: "Overall rating",
+    path: "reviews.averageRating",
+    better: "higher",
+    needsReviews: true,
+  },
+  { group: "ratings", key: "totalReviews", label: "Number of reviews", path: "reviews.totalReviews", better: "higher" },
+  ...[
+    ["academics", "Academics rating"],
+    ["campusLife", "Campus life rating"],
+    ["facilities", "Facilities rating"],
+    ["location", "Location rating"],
+    ["value", "Value rating"],
+  ].map(([category, label]) => ({
+    group: "ratings",
+    key: category,
+    label,
+    path: `reviews.ratingBreakdown.${category}`,
+    better: "higher",
+    needsReviews: true,
+  })),
+]
+
+const getPath = (object, path) => path.split(".").reduce((value, key) => value?.[key], object)
+
+// Flag the best and worst value in a row. Ties share the flag; rows with fewer than two
+// values, or where every value is equal, get no flags. Values where `comparable` is false
+// are shown but never flagged or compared against.
+const flagRow = (values, better, comparable = values.map(() => true)) => {
+  const numbers = values.filter((value, index) => typeof value === "number" && comparable[index])
+  const min = Math.min(...numbers)
+  const max = Math.max(...numbers)
+  const flagged = Boolean(better) && numbers.length >= 2 && min !== max
+
+  return values.map((value, index) => ({
+    value: value ?? null,
+    best: flagged && comparable[index] && value === (better === "lower" ? min : max),
+    worst: flagged && comparable[index] && value === (better === "lower" ? max : min),
+  }))
+}
+
+// Build a normalized matrix: one row per metric, one cell per college in the given order
+const buildComparison = (colleges) => {
+  // Ratings of a college nobody has reviewed yet are placeholders, not scores
+  const hasReviews = colleges.map((college) => getPath(college, "reviews.totalReviews") > 0)
+
+  const rows = COMPARISON_ROWS.map(({ group, key, label, path, better, needsReviews }) => ({
+    group,
+    key,
+    label,
+    better: better || null,
+    values: flagRow(
+      colleges.map((college) => {
+        const value = getPath(college, path)
+        return typeof value === "number" ? value : null
+      }),
+      better,
+      needsReviews ? hasReviews : undefined,
+    ),
+  }))
+
+  // Programs as a union list, with which colleges offer each one
+  const programs = new Map()
+  colleges.forEach((college, index) => {
+    for (const program of college.academics?.programs || []) {
+      if (!program.name) continue
+      const key = `${program.name.trim().toLowerCase()}|${program.degree || ""}`
+      if (!programs.has(key)) {
+        programs.set(key, {
+          name: program.name.trim(),
+          degree: program.degree || null,
+          offeredBy: colleges.map(() => false),
+        })
+      }
+      programs.get(key).offeredBy[index] = true
+    }
+  })
+
+  return {
+    colleges: colleges.map((college) => ({
+      id: college._id,
+      name: college.name,
+      slug: college.slug,
+      type: college.type,
+      size: college.size,
+      location: { city: college.location?.city, state: college.location?.state },
+      image: college.images?.find((image) => image.isMain)?.url || college.images?.[0]?.url || null,
+    })),
+    rows,
+    programs: [...programs.values()].sort((a, b) => a.name.localeCompare(b.name)),
+  }
+}
+
+module.exports = {
+  COMPARISON_ROWS,
+  buildComparison,
+}
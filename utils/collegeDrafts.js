@@ -0,0 +1,104 @@
+const College = require("../models/College")
+const { diffSnapshots } = require("./auditLog")
+const {
+  UNVERSIONED_FIELDS,
+  MEDIA_FIELDS,
+  currentRevision,
+  revisionFilter,
+  recordRevision,
+} = require("./collegeRevisions")
+const { previousSlugsAfterRename } = require("./slugify")
+
+// Colleges the public may see. Colleges created before the publishing workflow have no
+// isPublished value and count as published.
+const PUBLISHED_FILTER = { isActive: true, isPublished: { $ne: false } }
+
+// Changed only through the workflow endpoints
+const WORKFLOW_FIELDS = ["status", "isPublished", "publishedAt"]
+
+// Featuring and deactivation have their own permissions and apply immediately
+const FLAG_FIELDS = ["featured", "isActive"]
+
+const isStageable = (field) =>
+  ![...UNVERSIONED_FIELDS, ...WORKFLOW_FIELDS, ...FLAG_FIELDS, ...MEDIA_FIELDS].includes(field)
+
+// Split an update body into staged profile edits and immediate flag changes, dropping the rest
+const splitEdits = (body) => {
+  const edits = {}
+  const flags = {}
+  Object.entries(body || {}).forEach(([key, value]) => {
+    const field = key.split(".")[0]
+    if (FLAG_FIELDS.includes(field)) flags[key] = value
+    else if (isStageable(field)) edits[key] = value
+  })
+  return { edits, flags }
+}
+
+// The profile as it would look once the staged changes, plus any new `edits`, are published.
+// `college` must be loaded with +draft.
+const previewCollege = (college, edits = {}) => {
+  const preview = College.hydrate(college.toObject({ depopulate: true }))
+  if (college.draft?.changes) preview.set(college.draft.changes)
+  preview.set(edits)
+  return preview
+}
+
+// Whole top-level fields of the preview that differ from the live profile
+const stagedChanges = (college, preview) => {
+  const fields = new Set(diffSnapshots(college, preview).map(({ path }) => path.split(".")[0]))
+  const values = preview.toObject({ depopulate: true })
+  return Object.fromEntries([...fields].filter(isStageable).map((field) => [field, values[field] ?? null]))
+}
+
+const hasStagedChanges = (college) => Object.keys(college.draft?.changes || {}).length > 0
+
+// Apply staged changes to the live profile and make it public. Returns null if the college
+// changed since it was loaded.
+const publishDraft = async (college, publisher) => {
+  // Drafts staged before a field stopped being stageable may still carry it
+  const changes = Object.fromEntries(
+    Object.entries(college.draft?.changes || {}).filter(([field]) => isStageable(field)),
+  )
+  if (changes.slug && changes.slug !== college.slug) {
+    changes.previousSlugs = previousSlugsAfterRename(college, changes.slug)
+  }
+
+  const published = await College.findOneAndUpdate(
+    { _id: college._id, ...revisionFilter(currentRevision(college)) },
+    {
+      $set: { ...changes, status: "published", isPublished: true, publishedAt: new Date() },
+      $unset: { draft: 1 },
+      $inc: { revision: 1 },
+    },
+    { new: true, runValidators: true },
+  )
+
+  if (published) {
+    await recordRevision(publisher, published, { action: "publish", before: college })
+  }
+  return published
+}
+
+// Publish approved drafts whose scheduled time has passed. Only colleges still in review count:
+// an edit after approval sends the college back to draft.
+const publishScheduledColleges = async (now = new Date()) => {
+  const colleges = await College.find({ status: "in-review", "draft.publishAt": { $lte: now } }).select("+draft")
+
+  const published = []
+  for (const college of colleges) {
+    const result = await publishDraft(college, { _id: college.draft.approvedBy })
+    if (result) published.push(result)
+  }
+  return published
+}
+
+module.exports = {
+  PUBLISHED_FILTER,
+  WORKFLOW_FIELDS,
+  splitEdits,
+  previewCollege,
+  stagedChanges,
+  hasStagedChanges,
+  publishDraft,
+  publishScheduledColleges,
+}
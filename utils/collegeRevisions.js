@@ -0,0 +1,98 @@
+const College = require("../models/College")
+const CollegeRevision = require("../models/CollegeRevision")
+const { diffSnapshots } = require("./auditLog")
+
+// Fields that aren't part of a revision: identity, bookkeeping (slug aliases, staged edits) and
+// the review aggregates, which are recalculated from reviews rather than edited
+const UNVERSIONED_FIELDS = ["_id", "__v", "revision", "reviews", "draft", "previousSlugs", "createdAt", "updatedAt"]
+
+// Images and videos, changed only through the media endpoints, which check the files
+const MEDIA_FIELDS = ["images", "videos"]
+
+// Fields with their own permissions and endpoints, left alone by rollback. Media is too: files
+// are deleted with their entries, so old entries would point at nothing.
+const ROLLBACK_EXCLUDED_FIELDS = ["featured", "isActive", "status", "isPublished", "publishedAt", ...MEDIA_FIELDS]
+
+const currentRevision = (college) => college.revision ?? 0
+
+const snapshotCollege = (college) => {
+  const snapshot = typeof college.toObject === "function" ? college.toObject({ depopulate: true }) : { ...college }
+  UNVERSIONED_FIELDS.forEach((field) => delete snapshot[field])
+  return snapshot
+}
+
+const revisionEtag = (college) => `"${currentRevision(college)}"`
+
+// The revision an editor based their change on, from If-Match or a "revision" body field.
+// undefined means the client asked for no check (or sent "*"); null means it was malformed.
+const expectedRevision = (req) => {
+  const header = req.get("If-Match")
+  if (header !== undefined) {
+    if (header.trim() === "*") return undefined
+    const match = /^(?:W\/)?"?(\d+)"?$/.exec(header.trim())
+    return match ? Number(match[1]) : null
+  }
+
+  if (req.body?.revision === undefined) return undefined
+  const revision = Number(req.body.revision)
+  return Number.isInteger(revision) && revision >= 0 ? revision : null
+}
+
+// Match a college still at `revision`; documents that predate revisions have no field at all
+const revisionFilter = (revision) => (revision === 0 ? { revision: { $in: [0, null] } } : { revision })
+
+// Record the state of `college` after a change. A college edited for the first time also gets
+// a baseline entry for `before`, so the original version can be restored.
+// Failures are logged rather than failing the request, because the change is already saved.
+const recordRevision = async (author, college, { action, before = null, restoredFrom } = {}) => {
+  try {
+    if (before && !(await CollegeRevision.exists({ college: college._id }))) {
+      await CollegeRevision.create({
+        college: college._id,
+        version: currentRevision(before),
+        action: "baseline",
+        snapshot: snapshotCollege(before),
+      })
+    }
+
+    await CollegeRevision.create({
+      college: college._id,
+      version: currentRevision(college),
+      action,
+      author: author?._id,
+      authorRole: author?.role,
+      changes: diffSnapshots(before && snapshotCollege(before), snapshotCollege(college)),
+      snapshot: snapshotCollege(college),
+      restoredFrom,
+    })
+  } catch (error) {
+    console.error(`Failed to record revision for college ${college._id}:`, error)
+  }
+}
+
+// Turn a stored snapshot into an update that restores it, unsetting fields the snapshot lacks
+const rollbackUpdate = (snapshot) => {
+  const fields = new Set()
+  College.schema.eachPath((path) => fields.add(path.split(".")[0]))
+
+  const update = { $set: {}, $unset: {} }
+  fields.forEach((field) => {
+    if (UNVERSIONED_FIELDS.includes(field) || ROLLBACK_EXCLUDED_FIELDS.includes(field)) return
+    if (snapshot[field] === undefined) update.$unset[field] = 1
+    else update.$set[field] = snapshot[field]
+  })
+  if (Object.keys(update.$unset).length === 0) delete update.$unset
+
+  return update
+}
+
+module.exports = {
+  UNVERSIONED_FIELDS,
+  MEDIA_FIELDS,
+  currentRevision,
+  revisionEtag,
+  expectedRevision,
+  revisionFilter,
+  recordRevision,
+  rollbackUpdate,
+}
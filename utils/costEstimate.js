@@ -0,0 +1,203 @@
+// Cost-of-attendance estimates built from College.costs and College.financialAid.
+// These are planning estimates, not aid offers; every assumption is returned with the result.
+const { INCOME_BANDS, evaluateEligibility } = require("./scholarships")
+
+const HOUSING_OPTIONS = ["on-campus", "off-campus", "with-family"]
+
+// Share of the college's average aid package a family in each band can expect
+const NEED_AID_FACTORS = {
+  "0-30k": 1.25,
+  "30-48k": 1.1,
+  "48-75k": 0.9,
+  "75-110k": 0.6,
+  "110k+": 0.25,
+}
+
+// Off-campus rent and food typically run a little above the college's room and board
+const OFF_CAMPUS_FACTOR = 1.1
+
+const STATE_ABBREVIATIONS = {
+  AL: "alabama",
+  AK: "alaska",
+  AZ: "arizona",
+  AR: "arkansas",
+  CA: "california",
+  CO: "colorado",
+  CT: "connecticut",
+  DE: "delaware",
+  DC: "district of columbia",
+  FL: "florida",
+  GA: "georgia",
+  HI: "hawaii",
+  ID: "idaho",
+  IL: "illinois",
+  IN: "indiana",
+  IA: "iowa",
+  KS: "kansas",
+  KY: "kentucky",
+  LA: "louisiana",
+  ME: "maine",
+  MD: "maryland",
+  MA: "massachusetts",
+  MI: "michigan",
+  MN: "minnesota",
+  MS: "mississippi",
+  MO: "missouri",
+  MT: "montana",
+  NE: "nebraska",
+  NV: "nevada",
+  NH: "new hampshire",
+  NJ: "new jersey",
+  NM: "new mexico",
+  NY: "new york",
+  NC: "north carolina",
+  ND: "north dakota",
+  OH: "ohio",
+  OK: "oklahoma",
+  OR: "oregon",
+  PA: "pennsylvania",
+  RI: "rhode island",
+  SC: "south carolina",
+  SD: "south dakota",
+  TN: "tennessee",
+  TX: "texas",
+  UT: "utah",
+  VT: "vermont",
+  VA: "virginia",
+  WA: "washington",
+  WV: "west virginia",
+  WI: "wisconsin",
+  WY: "wyoming",
+}
+
+const normalizeState = (state) => {
+  const value = String(state || "")
+    .trim()
+    .toLowerCase()
+  return STATE_ABBREVIATIONS[value.toUpperCase()] || value
+}
+
+// The ways a state can be written (its name and abbreviation), for matching stored locations
+const stateNames = (state) => {
+  const name = normalizeState(state)
+  if (!name) return []
+  const abbreviation = Object.keys(STATE_ABBREVIATIONS).find((code) => STATE_ABBREVIATIONS[code] === name)
+  return abbreviation ? [name, abbreviation.toLowerCase()] : [name]
+}
+
+const isDomesticCountry = (country) =>
+  !country || ["usa", "us", "united states", "united states of america"].includes(country.trim().toLowerCase())
+
+// "in-state", "out-of-state" or "international" for a student living in `residency`
+const residencyStatus = (college, { state, country }) => {
+  if (!isDomesticCountry(country)) return "international"
+  if (!isDomesticCountry(college.location?.country)) return "international"
+  return normalizeState(state) && normalizeState(state) === normalizeState(college.location?.state)
+    ? "in-state"
+    : "out-of-state"
+}
+
+const round = (value) => Math.round(value)
+
+// Only residency and income are known here, so scholarships are counted unless one of their rules
+// excludes the student; academic requirements are assumed met. Expired scholarships are skipped.
+const eligibleScholarships = (college, { residency, incomeBand }) => {
+  const now = new Date()
+
+  return (college.financialAid?.scholarships || []).filter((scholarship) => {
+    if (!scholarship.amount || scholarship.amount <= 0) return false
+    if (scholarship.deadline && new Date(scholarship.deadline) < now) return false
+
+    return evaluateEligibility(scholarship, { residency, incomeBand }).status !== "ineligible"
+  })
+}
+
+// options: { residency: { state, country }, housing, durationYears, incomeBand, annualIncreasePct }
+const estimateCost = (college, options) => {
+  const { housing = "on-campus", durationYears = 4, incomeBand, annualIncreasePct = 3 } = options
+  const costs = college.costs || {}
+  const residency = residencyStatus(college, options.residency || {})
+
+  const tuitionByResidency = {
+    "in-state": costs.tuition?.inState,
+    "out-of-state": costs.tuition?.outOfState ?? costs.tuition?.inState,
+    international: costs.tuition?.international ?? costs.tuition?.outOfState ?? costs.tuition?.inState,
+  }
+  const tuition = tuitionByResidency[residency]
+
+  const missing = []
+  if (tuition == null) missing.push("tuition")
+  if (housing !== "with-family" && costs.roomAndBoard == null) missing.push("roomAndBoard")
+
+  const fees = (costs.fees?.registration || 0) + (costs.fees?.technology || 0) + (costs.fees?.other || 0)
+  const housingCost = {
+    "on-campus": costs.roomAndBoard || 0,
+    "off-campus": (costs.roomAndBoard || 0) * OFF_CAMPUS_FACTOR,
+    "with-family": 0,
+  }[housing]
+
+  const aidAvailable = college.financialAid?.available !== false
+  const needBasedAid =
+    aidAvailable && incomeBand && college.financialAid?.averageAidPackage
+      ? college.financialAid.averageAidPackage * NEED_AID_FACTORS[incomeBand]
+      : 0
+  const scholarships = eligibleScholarships(college, { residency, incomeBand })
+  const scholarshipTotal = scholarships.reduce((sum, scholarship) => sum + scholarship.amount, 0)
+
+  const years = []
+  for (let year = 1; year <= durationYears; year++) {
+    const growth = Math.pow(1 + annualIncreasePct / 100, year - 1)
+    const breakdown = {
+      tuition: round((tuition || 0) * growth),
+      fees: round(fees * growth),
+      housing: round(housingCost * growth),
+      books: round((costs.books || 0) * growth),
+      personal: round((costs.personalExpenses || 0) * growth),
+      applicationFee: year === 1 ? costs.fees?.application || college.admissions?.applicationFee || 0 : 0,
+    }
+    const gross = Object.values(breakdown).reduce((sum, value) => sum + value, 0)
+    // Aid is held flat; it can never bring the net price below zero
+    const grantAid = round(Math.min(gross, needBasedAid + scholarshipTotal))
+
+    years.push({ year, breakdown, gross, grantAid, net: gross - grantAid })
+  }
+
+  const sum = (key) => years.reduce((total, year) => total + year[key], 0)
+
+  return {
+    college: { id: college._id, name: college.name, slug: college.slug },
+    residency,
+    housing,
+    durationYears,
+    incomeBand: incomeBand || null,
+    perYear: years,
+    total: { gross: sum("gross"), grantAid: sum("grantAid"), net: sum("net") },
+    scholarships: scholarships.map(({ _id, name, amount, criteria, deadline }) => ({
+      id: _id,
+      name,
+      amount,
+      criteria,
+      deadline,
+    })),
+    needBasedAidPerYear: round(needBasedAid),
+    incomplete: missing.length > 0,
+    missing,
+    assumptions: [
+      `Costs rise ${annualIncreasePct}% a year; aid stays flat`,
+      "Scholarships are treated as renewable annual awards",
+      incomeBand
+        ? "Need-based aid is scaled from the college's average aid package by income band"
+        : "No income band given, so need-based aid is not included",
+      ...(housing === "off-campus" ? ["Off-campus housing is estimated at 110% of room and board"] : []),
+    ],
+  }
+}
+
+module.exports = {
+  HOUSING_OPTIONS,
+  INCOME_BANDS,
+  isDomesticCountry,
+  stateNames,
+  residencyStatus,
+  estimateCost,
+}
@@ -0,0 +1,82 @@
+// Small RFC 4180 CSV reader and writer, enough for catalog import/export
+
+// Parse CSV text into an array of objects keyed by the header row
+const parseCsv = (text) => {
+  const rows = []
+  let row = []
+  let field = ""
+  let inQuotes = false
+  const input = String(text).replace(/^\uFEFF/, "")
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ",") {
+      row.push(field)
+      field = ""
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ""
+    } else {
+      field += char
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("Unterminated quoted field")
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  const [header = [], ...records] = rows.filter((cells) => cells.some((cell) => cell.trim() !== ""))
+  const columns = header.map((column) => column.trim())
+
+  return records.map((cells) => Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? ""])))
+}
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return ""
+
+  let text = value instanceof Date ? value.toISOString() : String(value)
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// Undo the formula guard added by formatCell
+const unescapeCell = (text) => (/^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text)
+
+const toCsv = (columns, records) => {
+  const lines = [columns.map(formatCell).join(",")]
+  records.forEach((record) => {
+    lines.push(columns.map((column) => formatCell(record[column])).join(","))
+  })
+  return lines.join("\r\n") + "\r\n"
+}
+
+module.exports = {
+  parseCsv,
+  toCsv,
+  unescapeCell,
+}
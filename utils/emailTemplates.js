@@ -0,0 +1,182 @@
+const escapeHtml = (value) => {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+}
+
+const frontendUrl = (path) => {
+  const base = (process.env.FRONTEND_URL || "http://localhost:3000").replace(/\/+$/, "")
+  return `${base}${path}`
+}
+
+// Wrap plain paragraphs in a minimal HTML layout; the text part is sent alongside
+const layout = (paragraphs, action) => {
+  const body = paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`).join("\n")
+  const button = action
+    ? `<p><a href="${escapeHtml(action.url)}" style="background:#2563eb;color:#fff;padding:10px 16px;border-radius:4px;text-decoration:none">${escapeHtml(action.label)}</a></p>`
+    : ""
+
+  return `<!doctype html>
+<html>
+  <body style="font-family:Arial,sans-serif;color:#111;line-height:1.5">
+    ${body}
+    ${button}
+    <p style="color:#666;font-size:12px">College Booking</p>
+  </body>
+</html>`
+}
+
+const render = ({ subject, paragraphs, action }) => {
+  const lines = [...paragraphs]
+  if (action) lines.push(`${action.label}: ${action.url}`)
+
+  return {
+    subject,
+    text: lines.join("\n\n"),
+    html: layout(paragraphs, action),
+  }
+}
+
+const templates = {
+  emailVerification: ({ user, token }) =>
+    render({
+      subject: "Verify your email address",
+      paragraphs: [
+        `Hi ${user.name},`,
+        "Please confirm your email address to finish setting up your College Booking account. The link expires in 24 hours.",
+      ],
+      action: { label: "Verify email", url: frontendUrl(`/verify-email?token=${encodeURIComponent(token)}`) },
+    }),
+
+  passwordReset: ({ user, token }) =>
+    render({
+      subject: "Reset your password",
+      paragraphs: [
+        `Hi ${user.name},`,
+        "We received a request to reset your password. The link expires in 1 hour.",
+        "If you did not request this, you can safely ignore this email.",
+      ],
+      action: { label: "Reset password", url: frontendUrl(`/reset-password?token=${encodeURIComponent(token)}`) },
+    }),
+
+  emailChangeConfirm: ({ user, token }) =>
+    render({
+      subject: "Confirm your new email address",
+      paragraphs: [
+        `Hi ${user.name},`,
+        "Please confirm this address to finish changing the email on your College Booking account. The link expires in 24 hours.",
+      ],
+      action: {
+        label: "Confirm email change",
+        url: frontendUrl(`/confirm-email-change?token=${encodeURIComponent(token)}`),
+      },
+    }),
+
+  emailChangeNotice: ({ user, newEmail }) =>
+    render({
+      subject: "Your email address is being changed",
+      paragraphs: [
+        `Hi ${user.name},`,
+        `Someone asked to change the email on your College Booking account to ${newEmail}. The change only takes effect once the new address is confirmed.`,
+        "If this wasn't you, reset your password right away.",
+      ],
+      action: { label: "Reset password", url: frontendUrl("/forgot-password") },
+    }),
+
+  accountLocked: ({ user, lockUntil }) =>
+    render({
+      subject: "Your account has been temporarily locked",
+      paragraphs: [
+        `Hi ${user.name},`,
+        `We locked your account after several failed sign-in attempts. You can try again after ${lockUntil.toUTCString()}.`,
+        "If this wasn't you, we recommend resetting your password now.",
+      ],
+      action: { label: "Reset password", url: frontendUrl("/forgot-password") },
+    }),
+
+  reauthCode: ({ user, code }) =>
+    render({
+      subject: "Your confirmation code",
+      paragraphs: [
+        `Hi ${user.name},`,
+        `Use the code ${code} to confirm the change to your College Booking account. It expires in 10 minutes.`,
+        "If you did not request this, someone may have access to your account. Sign out of all devices from your account settings.",
+      ],
+    }),
+
+  accountDeletionScheduled: ({ user, scheduledFor }) =>
+    render({
+      subject: "Your account is scheduled for deletion",
+      paragraphs: [
+        `Hi ${user.name},`,
+        `Your account and personal data will be permanently deleted on ${scheduledFor.toUTCString()}.`,
+        "Changed your mind? Sign in before then and cancel the deletion from your account settings.",
+      ],
+    }),
+
+  applicationStatus: ({ user, application, college }) =>
+    render({
+      subject: `Application update: ${college.name}`,
+      paragraphs: [
+        `Hi ${user.name},`,
+        `The status of your ${application.program} application to ${college.name} is now "${application.status}".`,
+      ],
+      action: { label: "View application", url: frontendUrl(`/applications/${application._id}`) },
+    }),
+
+  reviewModeration: ({ user, review, action, reason }) => {
+    const outcomes = {
+      approve: "has been reviewed by our moderators and remains published",
+      remove: "has been removed by our moderators",
+      warn: "has been flagged by our moderators",
+    }
+
+    const paragraphs = [`Hi ${user.name},`, `Your review "${review.title}" ${outcomes[action] || "has been moderated"}.`]
+    if (reason) paragraphs.push(`Reason: ${reason}`)
+
+    return render({ subject: "An update on your review", paragraphs })
+  },
+
+  eventBooked: ({ user, event, slot }) =>
+    render({
+      subject: `You're booked: ${event.title}`,
+      paragraphs: [
+        `Hi ${user.name},`,
+        `Your place for "${event.title}" on ${slot.startsAt.toUTCString()} is confirmed.`,
+        event.isVirtual
+          ? `Join online: ${event.virtualLink}`
+          : `Location: ${[event.location?.address, event.location?.meetingPoint].filter(Boolean).join(", ")}`,
+        "Can't make it? Please cancel your booking so someone on the waitlist can take your place.",
+      ],
+      action: { label: "View my bookings", url: frontendUrl("/events/bookings") },
+    }),
+
+  eventWaitlistPromoted: ({ user, event, slot }) =>
+    render({
+      subject: `A place opened up: ${event.title}`,
+      paragraphs: [
+        `Hi ${user.name},`,
+        `Good news: a place opened up for "${event.title}" on ${slot.startsAt.toUTCString()} and you've been moved off the waitlist.`,
+        "Can't make it any more? Please cancel so the next person can take your place.",
+      ],
+      action: { label: "View my bookings", url: frontendUrl("/events/bookings") },
+    }),
+
+  eventCancelled: ({ user, event, slot }) =>
+    render({
+      subject: `Cancelled: ${event.title}`,
+      paragraphs: [
+        `Hi ${user.name},`,
+        `Unfortunately "${event.title}" on ${slot.startsAt.toUTCString()} has been cancelled by the college, along with your booking.`,
+      ],
+      action: { label: "Find another event", url: frontendUrl("/events") },
+    }),
+}
+
+module.exports = {
+  templates,
+  escapeHtml,
+}
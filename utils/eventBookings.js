@@ -0,0 +1,81 @@
+const CampusEvent = require("../models/CampusEvent")
+const EventBooking = require("../models/EventBooking")
+const User = require("../models/User")
+const { notify } = require("./mailer")
+
+// Seat counts live on the slot and are only ever changed with conditional $inc updates,
+// so concurrent bookings can never push a slot past its capacity.
+const takeSeat = async (eventId, slotId) => {
+  const event = await CampusEvent.findOneAndUpdate(
+    {
+      _id: eventId,
+      isActive: true,
+      slots: { $elemMatch: { _id: slotId, isCancelled: false, seatsAvailable: { $gt: 0 } } },
+    },
+    { $inc: { "slots.$.seatsAvailable": -1 } },
+  )
+  return Boolean(event)
+}
+
+const releaseSeat = async (eventId, slotId) => {
+  await CampusEvent.updateOne({ _id: eventId, "slots._id": slotId }, { $inc: { "slots.$.seatsAvailable": 1 } })
+}
+
+const notifyBooking = async (templateName, booking) => {
+  const [user, event] = await Promise.all([User.findById(booking.user), CampusEvent.findById(booking.event)])
+  const slot = event?.slots.id(booking.slot)
+  if (user && slot) notify(templateName, user.email, { user, event, slot })
+}
+
+// Move waitlisted users into free seats, oldest first. Each promotion takes a seat the
+// same way a booking does, so promotions and new bookings can safely race.
+const fillFromWaitlist = async (eventId, slotId) => {
+  const promoted = []
+
+  while (true) {
+    const next = await EventBooking.findOne({ slot: slotId, status: "waitlisted" }).sort({ createdAt: 1 })
+    if (!next) break
+    if (!(await takeSeat(eventId, slotId))) break
+
+    const booking = await EventBooking.findOneAndUpdate(
+      { _id: next._id, status: "waitlisted" },
+      { status: "booked", promotedAt: new Date() },
+      { new: true },
+    )
+
+    if (!booking) {
+      // Someone else promoted or cancelled this entry first; hand the seat back and retry
+      await releaseSeat(eventId, slotId)
+      continue
+    }
+
+    promoted.push(booking)
+    await notifyBooking("eventWaitlistPromoted", booking)
+  }
+
+  return promoted
+}
+
+// Cancel a live booking or waitlist entry, freeing its seat for the waitlist
+const cancelBooking = async (booking) => {
+  const cancelled = await EventBooking.findOneAndUpdate(
+    { _id: booking._id, isActive: true },
+    { status: "cancelled", isActive: false, cancelledAt: new Date() },
+  )
+  if (!cancelled) return false
+
+  if (cancelled.status === "booked") {
+    await releaseSeat(cancelled.event, cancelled.slot)
+    await fillFromWaitlist(cancelled.event, cancelled.slot)
+  }
+
+  return true
+}
+
+module.exports = {
+  takeSeat,
+  releaseSeat,
+  notifyBooking,
+  fillFromWaitlist,
+  cancelBooking,
+}
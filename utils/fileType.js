@@ -0,0 +1,50 @@
+// Identify uploads from their leading bytes rather than the client-supplied name or MIME type.
+// Only formats browsers can display are recognised; SVG is deliberately absent since it can
+// carry scripts.
+
+const startsWith = (buffer, bytes, offset = 0) => bytes.every((byte, index) => buffer[offset + index] === byte)
+
+const ascii = (buffer, start, end) => buffer.subarray(start, end).toString("latin1")
+
+const SIGNATURES = [
+  { mimeType: "image/jpeg", extension: "jpg", kind: "image", test: (b) => startsWith(b, [0xff, 0xd8, 0xff]) },
+  {
+    mimeType: "image/png",
+    extension: "png",
+    kind: "image",
+    test: (b) => startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  },
+  { mimeType: "image/gif", extension: "gif", kind: "image", test: (b) => /^GIF8[79]a$/.test(ascii(b, 0, 6)) },
+  {
+    mimeType: "image/webp",
+    extension: "webp",
+    kind: "image",
+    test: (b) => ascii(b, 0, 4) === "RIFF" && ascii(b, 8, 12) === "WEBP",
+  },
+  { mimeType: "video/webm", extension: "webm", kind: "video", test: (b) => startsWith(b, [0x1a, 0x45, 0xdf, 0xa3]) },
+  // ISO base media files carry "ftyp" and a brand at offset 4
+  {
+    mimeType: "video/quicktime",
+    extension: "mov",
+    kind: "video",
+    test: (b) => ascii(b, 4, 8) === "ftyp" && ascii(b, 8, 10) === "qt",
+  },
+  {
+    mimeType: "video/mp4",
+    extension: "mp4",
+    kind: "video",
+    test: (b) => ascii(b, 4, 8) === "ftyp" && /^(isom|iso[2-6]|mp41|mp42|avc1|M4V |dash)$/.test(ascii(b, 8, 12)),
+  },
+]
+
+// { mimeType, extension, kind: "image" | "video" } or null for anything unsupported
+const sniffMediaType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null
+
+  const match = SIGNATURES.find(({ test }) => test(buffer))
+  return match ? { mimeType: match.mimeType, extension: match.extension, kind: match.kind } : null
+}
+
+module.exports = {
+  sniffMediaType,
+}
@@ -0,0 +1,103 @@
+const EARTH_RADIUS_KM = 6371
+
+const isLatitude = (value) => Number.isFinite(value) && value >= -90 && value <= 90
+const isLongitude = (value) => Number.isFinite(value) && value >= -180 && value <= 180
+
+// Accept a GeoJSON point, or the legacy { latitude, longitude } shape, and return a GeoJSON
+// point. Anything else is returned unchanged so schema validation can reject it.
+const toGeoPoint = (value) => {
+  if (!value || value.type === "Point") return value
+
+  const latitude = Number(value.latitude)
+  const longitude = Number(value.longitude)
+  if (value.latitude == null || value.longitude == null || !isLatitude(latitude) || !isLongitude(longitude)) {
+    return value
+  }
+
+  return { type: "Point", coordinates: [longitude, latitude] }
+}
+
+// "lat,lng" -> { latitude, longitude }, or null when invalid
+const parseLatLng = (value) => {
+  const parts = String(value ?? "")
+    .split(",")
+    .map((part) => Number.parseFloat(part))
+  if (parts.length !== 2 || !isLatitude(parts[0]) || !isLongitude(parts[1])) return null
+
+  return { latitude: parts[0], longitude: parts[1] }
+}
+
+// "south,west,north,east" (lat,lng of the south-west then north-east corner) -> bounds or null.
+// west > east means the box crosses the antimeridian.
+const parseBounds = (value) => {
+  const parts = String(value ?? "")
+    .split(",")
+    .map((part) => Number.parseFloat(part))
+  if (parts.length !== 4) return null
+
+  const [south, west, north, east] = parts
+  if (![south, north].every(isLatitude) || ![west, east].every(isLongitude) || south >= north) return null
+
+  return { south, west, north, east }
+}
+
+const ring = (south, west, north, east) => [
+  [
+    [west, south],
+    [east, south],
+    [east, north],
+    [west, north],
+    [west, south],
+  ],
+]
+
+// $geoWithin filter for a map viewport
+const boundsFilter = ({ south, west, north, east }) => {
+  const geometry =
+    west <= east
+      ? { type: "Polygon", coordinates: ring(south, west, north, east) }
+      : { type: "MultiPolygon", coordinates: [ring(south, west, north, 180), ring(south, -180, north, east)] }
+
+  return { $geoWithin: { $geometry: geometry } }
+}
+
+// $geoWithin filter for a circle around a point
+const radiusFilter = ({ latitude, longitude }, radiusKm) => ({
+  $geoWithin: { $centerSphere: [[longitude, latitude], radiusKm / EARTH_RADIUS_KM] },
+})
+
+const sinSquaredHalf = (delta) => ({ $pow: [{ $sin: { $divide: [delta, 2] } }, 2] })
+
+// Aggregation expression for the great-circle (haversine) distance in km between a fixed
+// point and the GeoJSON point stored at `path`, rounded to 0.1 km
+const distanceExpression = ({ latitude, longitude }, path) => {
+  const lat1 = (latitude * Math.PI) / 180
+  const lng1 = (longitude * Math.PI) / 180
+
+  const haversine = {
+    $add: [
+      sinSquaredHalf({ $subtract: ["$$lat2", lat1] }),
+      { $multiply: [Math.cos(lat1), { $cos: "$$lat2" }, sinSquaredHalf({ $subtract: ["$$lng2", lng1] })] },
+    ],
+  }
+
+  return {
+    $let: {
+      vars: {
+        lat2: { $degreesToRadians: { $arrayElemAt: [`$${path}.coordinates`, 1] } },
+        lng2: { $degreesToRadians: { $arrayElemAt: [`$${path}.coordinates`, 0] } },
+      },
+      // $min clamps floating point overshoot, which would make $asin fail
+      in: { $round: [{ $multiply: [2 * EARTH_RADIUS_KM, { $asin: { $sqrt: { $min: [1, haversine] } } }] }, 1] },
+    },
+  }
+}
+
+module.exports = {
+  toGeoPoint,
+  parseLatLng,
+  parseBounds,
+  boundsFilter,
+  radiusFilter,
+  distanceExpression,
+}
@@ -0,0 +1,128 @@
+// Minimal RFC 5545 (iCalendar) writer for subscription feeds. Calendar apps match entries
+// by UID across refreshes, so every entry needs an ID that never changes for the same item.
+
+const UID_DOMAIN = "college-booking"
+
+const DEADLINE_LABELS = {
+  earlyDecision: "Early decision deadline",
+  earlyAction: "Early action deadline",
+  regular: "Regular decision deadline",
+  transfer: "Transfer deadline",
+}
+
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n")
+
+// 20261019T072421Z
+const formatDateTime = (date) =>
+  new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "")
+
+// 20261019 (deadlines are whole days)
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10).replace(/-/g, "")
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const bytes = Buffer.from(line)
+  if (bytes.length <= 75) return line
+
+  const parts = []
+  let current = ""
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current)
+      current = ""
+    }
+    current += char
+  }
+  parts.push(current)
+  return parts.join("\r\n ")
+}
+
+const buildEvent = (entry, stamp) => {
+  const lines = ["BEGIN:VEVENT", `UID:${entry.uid}@${UID_DOMAIN}`, `DTSTAMP:${stamp}`]
+
+  if (entry.allDay) {
+    const nextDay = new Date(new Date(entry.start).getTime() + 24 * 60 * 60 * 1000)
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(entry.start)}`, `DTEND;VALUE=DATE:${formatDate(nextDay)}`)
+  } else {
+    lines.push(`DTSTART:${formatDateTime(entry.start)}`, `DTEND:${formatDateTime(entry.end)}`)
+  }
+
+  lines.push(`SUMMARY:${escapeText(entry.summary)}`)
+  if (entry.description) lines.push(`DESCRIPTION:${escapeText(entry.description)}`)
+  if (entry.location) lines.push(`LOCATION:${escapeText(entry.location)}`)
+  if (entry.url) lines.push(`URL:${entry.url}`)
+  if (entry.status) lines.push(`STATUS:${entry.status}`)
+  if (entry.lastModified) lines.push(`LAST-MODIFIED:${formatDateTime(entry.lastModified)}`)
+  // Deadlines shouldn't block out the whole day; visits should
+  lines.push(`TRANSP:${entry.allDay ? "TRANSPARENT" : "OPAQUE"}`, "END:VEVENT")
+
+  return lines
+}
+
+// entries: [{ uid, summary, start, end?, allDay?, description?, location?, url?, status?, lastModified? }]
+const buildCalendar = ({ name, description, entries }) => {
+  const stamp = formatDateTime(new Date())
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//College Booking//Calendar Feed//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ]
+  if (description) lines.push(`X-WR-CALDESC:${escapeText(description)}`)
+  lines.push("REFRESH-INTERVAL;VALUE=DURATION:PT6H", "X-PUBLISHED-TTL:PT6H")
+
+  entries.forEach((entry) => lines.push(...buildEvent(entry, stamp)))
+  lines.push("END:VCALENDAR")
+
+  return lines.map(foldLine).join("\r\n") + "\r\n"
+}
+
+// Admission deadline entries for a college, keyed by college and deadline type
+const collegeDeadlineEntries = (college, since) => {
+  const deadlines = college.admissions?.applicationDeadlines || {}
+
+  return Object.keys(DEADLINE_LABELS)
+    .filter((type) => deadlines[type] && (!since || new Date(deadlines[type]) >= since))
+    .map((type) => ({
+      uid: `college-${college._id}-deadline-${type}`,
+      summary: `${college.name}: ${DEADLINE_LABELS[type]}`,
+      start: deadlines[type],
+      allDay: true,
+      lastModified: college.updatedAt,
+    }))
+}
+
+// Scholarship deadline entries, keyed by the scholarship's own subdocument ID
+const scholarshipDeadlineEntries = (college, since) => {
+  const scholarships = college.financialAid?.scholarships || []
+
+  return scholarships
+    .filter((scholarship) => scholarship.deadline && (!since || new Date(scholarship.deadline) >= since))
+    .map((scholarship) => ({
+      uid: `college-${college._id}-scholarship-${scholarship._id}`,
+      summary: `${college.name}: ${scholarship.name || "Scholarship"} deadline`,
+      description: [scholarship.amount ? `Amount: ${scholarship.amount}` : null, scholarship.criteria]
+        .filter(Boolean)
+        .join("\n"),
+      start: scholarship.deadline,
+      allDay: true,
+      lastModified: college.updatedAt,
+    }))
+}
+
+module.exports = {
+  buildCalendar,
+  collegeDeadlineEntries,
+  scholarshipDeadlineEntries,
+}
@@ -0,0 +1,103 @@
+const fs = require("fs/promises")
+const path = require("path")
+const nodemailer = require("nodemailer")
+const { templates } = require("./emailTemplates")
+
+// Transport factories, selected with MAIL_TRANSPORT. Each returns an object with send(message).
+const transports = {
+  // Production delivery through any SMTP relay
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number.parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    })
+
+    return { send: (message) => transporter.sendMail(message) }
+  },
+
+  // Serialises messages without sending them and keeps them in memory, for tests
+  json: () => {
+    const transporter = nodemailer.createTransport({ jsonTransport: true })
+    const outbox = []
+
+    return {
+      outbox,
+      send: async (message) => {
+        const info = await transporter.sendMail(message)
+        outbox.push(JSON.parse(info.message))
+        return info
+      },
+    }
+  },
+
+  // Writes every message to MAIL_OUTBOX_DIR as a JSON file, for local development
+  file: () => {
+    const transporter = nodemailer.createTransport({ jsonTransport: true })
+    const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || "tmp/mail")
+
+    return {
+      send: async (message) => {
+        const info = await transporter.sendMail(message)
+        await fs.mkdir(outboxDir, { recursive: true })
+        const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, "")}.json`
+        await fs.writeFile(path.join(outboxDir, fileName), info.message)
+        return info
+      },
+    }
+  },
+}
+
+let activeTransport = null
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === "production" ? "smtp" : "file")
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport: ${name}`)
+    }
+    activeTransport = transports[name]()
+  }
+  return activeTransport
+}
+
+// Swap the transport at runtime (e.g. a test harness or a custom provider)
+const setTransport = (transport) => {
+  activeTransport = transport
+}
+
+const sendMail = async ({ to, subject, text, html }) => {
+  return await getTransport().send({
+    from: process.env.MAIL_FROM || "College Booking <no-reply@collegebooking.com>",
+    to,
+    subject,
+    text,
+    html,
+  })
+}
+
+const sendTemplate = async (templateName, to, data) => {
+  const template = templates[templateName]
+  if (!template) {
+    throw new Error(`Unknown email template: ${templateName}`)
+  }
+
+  return await sendMail({ to, ...template(data) })
+}
+
+// Fire-and-forget variant for notifications that must not fail the request
+const notify = (templateName, to, data) => {
+  sendTemplate(templateName, to, data).catch((error) => {
+    console.error(`Failed to send ${templateName} email:`, error)
+  })
+}
+
+module.exports = {
+  transports,
+  getTransport,
+  setTransport,
+  sendMail,
+  sendTemplate,
+  notify,
+}
@@ -0,0 +1,166 @@
+const crypto = require("crypto")
+const fs = require("fs/promises")
+const path = require("path")
+const sharp = require("sharp")
+const cloudinary = require("cloudinary").v2
+
+// Derived sizes generated for every uploaded image, and for video posters where the driver can
+const THUMBNAIL_SIZES = [
+  { name: "thumb", width: 200, height: 200, fit: "cover" },
+  { name: "card", width: 640, height: 400, fit: "cover" },
+  { name: "large", width: 1600, height: 1600, fit: "inside" },
+]
+
+// Local disk, for development and tests. server.js serves the directory at MEDIA_BASE_URL.
+const localDriver = () => {
+  const directory = path.resolve(process.env.MEDIA_UPLOAD_DIR || "uploads/media")
+  const baseUrl = (process.env.MEDIA_BASE_URL || "/uploads/media").replace(/\/$/, "")
+
+  const resolveKey = (key) => {
+    const file = path.resolve(directory, key)
+    if (!file.startsWith(directory + path.sep)) {
+      throw new Error(`Invalid media key: ${key}`)
+    }
+    return file
+  }
+
+  return {
+    name: "local",
+    directory,
+    baseUrl,
+    async upload(buffer, { key }) {
+      const file = resolveKey(key)
+      await fs.mkdir(path.dirname(file), { recursive: true })
+      await fs.writeFile(file, buffer, { flag: "wx" })
+      return { key, url: `${baseUrl}/${key}` }
+    },
+    async remove(key) {
+      await fs.rm(resolveKey(key), { force: true })
+    },
+  }
+}
+
+// Cloudinary, for production. Thumbnails are Cloudinary transformations, generated eagerly
+// at upload time (in the background for videos) and addressed by URL.
+const cloudinaryDriver = () => {
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+    secure: true,
+  })
+
+  const transformation = ({ width, height, fit }) => ({
+    width,
+    height,
+    crop: fit === "cover" ? "fill" : "limit",
+    format: "jpg",
+  })
+
+  return {
+    name: "cloudinary",
+    upload(buffer, { key, kind }) {
+      return new Promise((resolve, reject) => {
+        const stream = cloudinary.uploader.upload_stream(
+          {
+            // Cloudinary adds the extension itself
+            public_id: key.replace(/\.[^/.]+$/, ""),
+            resource_type: kind,
+            overwrite: false,
+            eager: THUMBNAIL_SIZES.map(transformation),
+            eager_async: kind === "video",
+          },
+          (error, result) => (error ? reject(error) : resolve({ key: result.public_id, url: result.secure_url })),
+        )
+        stream.end(buffer)
+      })
+    },
+    async remove(key, { kind }) {
+      await cloudinary.uploader.destroy(key, { resource_type: kind, invalidate: true })
+    },
+    thumbnailUrl(key, size, { kind }) {
+      return cloudinary.url(key, { resource_type: kind, ...transformation(size) })
+    },
+  }
+}
+
+const DRIVERS = { local: localDriver, cloudinary: cloudinaryDriver }
+
+// The driver new uploads go to, from MEDIA_STORAGE ("local" by default)
+const getMediaStorage = () => (DRIVERS[process.env.MEDIA_STORAGE] || localDriver)()
+
+// Width and height of an image, or null if the data doesn't decode as one
+const readImageSize = async (buffer) => {
+  try {
+    const { width, height } = await sharp(buffer).metadata()
+    return width && height ? { width, height } : null
+  } catch {
+    return null
+  }
+}
+
+// Store an upload under `folder` along with its thumbnails. `type` comes from sniffMediaType.
+// Returns the fields of a College media entry.
+const storeMedia = async (buffer, { folder, type }) => {
+  const storage = getMediaStorage()
+  const id = crypto.randomBytes(12).toString("hex")
+  const { kind } = type
+
+  const stored = await storage.upload(buffer, { key: `${folder}/${id}.${type.extension}`, kind })
+  const media = {
+    url: stored.url,
+    mimeType: type.mimeType,
+    size: buffer.length,
+    storage: { driver: storage.name, key: stored.key },
+    thumbnails: [],
+  }
+
+  try {
+    if (kind === "image") {
+      Object.assign(media, await readImageSize(buffer))
+    }
+
+    if (storage.thumbnailUrl) {
+      media.thumbnails = THUMBNAIL_SIZES.map((size) => ({
+        name: size.name,
+        url: storage.thumbnailUrl(stored.key, size, { kind }),
+      }))
+    } else if (kind === "image") {
+      // Videos get no thumbnails locally; that would need a video decoder
+      for (const size of THUMBNAIL_SIZES) {
+        const { data, info } = await sharp(buffer)
+          .rotate()
+          .resize({ width: size.width, height: size.height, fit: size.fit, withoutEnlargement: true })
+          .webp({ quality: 80 })
+          .toBuffer({ resolveWithObject: true })
+
+        const thumbnail = await storage.upload(data, { key: `${folder}/${id}-${size.name}.webp`, kind })
+        media.thumbnails.push({ ...thumbnail, name: size.name, width: info.width, height: info.height })
+      }
+    }
+  } catch (error) {
+    await removeMedia(media, kind).catch(() => {})
+    throw error
+  }
+
+  return media
+}
+
+// Delete an entry's files from the storage that holds them. Entries added by URL have none.
+const removeMedia = async (media, kind) => {
+  if (!media.storage?.key) return
+
+  const storage = (DRIVERS[media.storage.driver] || localDriver)()
+  await storage.remove(media.storage.key, { kind })
+  for (const thumbnail of media.thumbnails || []) {
+    if (thumbnail.key) await storage.remove(thumbnail.key, { kind })
+  }
+}
+
+module.exports = {
+  THUMBNAIL_SIZES,
+  getMediaStorage,
+  readImageSize,
+  storeMedia,
+  removeMedia,
+}
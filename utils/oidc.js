@@ -0,0 +1,164 @@
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+
+// OpenID Connect relying-party helpers (authorization code flow with PKCE).
+// Providers are configured with OIDC_PROVIDERS, a JSON array such as:
+// [{ "id": "google", "name": "Google", "issuer": "https://accounts.google.com",
+//    "clientId": "...", "clientSecret": "...", "scopes": "openid email profile" }]
+
+const METADATA_TTL_MS = 60 * 60 * 1000 // 1 hour
+
+let providersCache = null
+const metadataCache = new Map()
+const jwksCache = new Map()
+
+const getProviders = () => {
+  if (!providersCache) {
+    const providers = JSON.parse(process.env.OIDC_PROVIDERS || "[]")
+    providersCache = new Map(
+      providers.map((provider) => [
+        provider.id,
+        {
+          name: provider.id,
+          scopes: "openid email profile",
+          tokenAuthMethod: provider.clientSecret ? "client_secret_basic" : "none",
+          ...provider,
+          issuer: provider.issuer.replace(/\/+$/, ""),
+        },
+      ]),
+    )
+  }
+  return providersCache
+}
+
+const getProvider = (id) => getProviders().get(id) || null
+
+const getRedirectUri = (provider) => {
+  const frontendUrl = (process.env.FRONTEND_URL || "http://localhost:3000").replace(/\/+$/, "")
+  return provider.redirectUri || `${frontendUrl}/auth/oidc/${provider.id}/callback`
+}
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options)
+  const body = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    const error = new Error(`OIDC request to ${url} failed with ${response.status}`)
+    error.details = body
+    throw error
+  }
+  return body
+}
+
+const discover = async (provider) => {
+  const cached = metadataCache.get(provider.id)
+  if (cached && cached.fetchedAt > Date.now() - METADATA_TTL_MS) {
+    return cached.metadata
+  }
+
+  const metadata = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`)
+  if (metadata.issuer.replace(/\/+$/, "") !== provider.issuer) {
+    throw new Error(`Issuer mismatch for OIDC provider ${provider.id}`)
+  }
+
+  metadataCache.set(provider.id, { metadata, fetchedAt: Date.now() })
+  return metadata
+}
+
+const getSigningKey = async (provider, kid) => {
+  const metadata = await discover(provider)
+
+  const findKey = (keys) => keys.find((key) => key.kid === kid) || (!kid && keys.length === 1 ? keys[0] : null)
+
+  let cached = jwksCache.get(provider.id)
+  let jwk = cached && cached.fetchedAt > Date.now() - METADATA_TTL_MS ? findKey(cached.keys) : null
+
+  // Unknown key IDs usually mean the provider rotated keys, so refetch once
+  if (!jwk) {
+    const { keys } = await fetchJson(metadata.jwks_uri)
+    cached = { keys, fetchedAt: Date.now() }
+    jwksCache.set(provider.id, cached)
+    jwk = findKey(keys)
+  }
+
+  if (!jwk) {
+    throw new Error(`No signing key ${kid} for OIDC provider ${provider.id}`)
+  }
+  return crypto.createPublicKey({ key: jwk, format: "jwk" })
+}
+
+const randomToken = () => crypto.randomBytes(32).toString("base64url")
+
+// Build the provider authorization URL plus the secrets we must keep server-side
+const createAuthorizationRequest = async (provider) => {
+  const metadata = await discover(provider)
+  const state = randomToken()
+  const nonce = randomToken()
+  const codeVerifier = randomToken()
+  const codeChallenge = crypto.createHash("sha256").update(codeVerifier).digest("base64url")
+  const redirectUri = getRedirectUri(provider)
+
+  const url = new URL(metadata.authorization_endpoint)
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  }).toString()
+
+  return { authorizationUrl: url.toString(), state, nonce, codeVerifier, redirectUri }
+}
+
+const exchangeCode = async (provider, { code, codeVerifier, redirectUri }) => {
+  const metadata = await discover(provider)
+
+  const params = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier,
+  })
+  const headers = { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" }
+
+  if (provider.tokenAuthMethod === "client_secret_basic") {
+    const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString("base64")}`
+  } else {
+    params.set("client_id", provider.clientId)
+    if (provider.tokenAuthMethod === "client_secret_post") {
+      params.set("client_secret", provider.clientSecret)
+    }
+  }
+
+  return await fetchJson(metadata.token_endpoint, { method: "POST", headers, body: params })
+}
+
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true })
+  if (!decoded) {
+    throw new Error("Malformed ID token")
+  }
+
+  const key = await getSigningKey(provider, decoded.header.kid)
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ["RS256", "RS384", "RS512", "ES256", "ES384", "PS256"],
+    issuer: [provider.issuer, `${provider.issuer}/`],
+    audience: provider.clientId,
+  })
+
+  if (claims.nonce !== nonce) {
+    throw new Error("ID token nonce mismatch")
+  }
+  return claims
+}
+
+module.exports = {
+  getProviders,
+  getProvider,
+  createAuthorizationRequest,
+  exchangeCode,
+  verifyIdToken,
+}
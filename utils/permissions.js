@@ -0,0 +1,101 @@
+const mongoose = require("mongoose")
+
+// Role definitions. "scoped" roles only hold their permissions for the colleges
+// listed in user.staffColleges; everyone else holds them platform-wide.
+const ROLES = {
+  student: {
+    permissions: [],
+  },
+  counselor: {
+    permissions: ["colleges:analytics", "applications:analytics", "reviews:analytics"],
+  },
+  moderator: {
+    requiresTwoFactor: true,
+    permissions: ["reviews:moderate", "reviews:analytics"],
+  },
+  "college-staff": {
+    scoped: true,
+    requiresTwoFactor: true,
+    permissions: [
+      "colleges:update",
+      "colleges:analytics",
+      "applications:read",
+      "applications:decide",
+      "applications:analytics",
+      "reviews:analytics",
+      "events:manage",
+    ],
+  },
+  admin: {
+    requiresTwoFactor: true,
+    permissions: [
+      "colleges:create",
+      "colleges:update",
+      "colleges:publish",
+      "colleges:delete",
+      "colleges:feature",
+      "colleges:media",
+      "colleges:analytics",
+      "colleges:import",
+      "colleges:export",
+      "applications:read",
+      "applications:decide",
+      "applications:analytics",
+      "reviews:moderate",
+      "reviews:analytics",
+      "events:manage",
+      "users:unlock",
+      "audit:read",
+    ],
+  },
+  "super-admin": {
+    requiresTwoFactor: true,
+    permissions: ["*"],
+  },
+}
+
+const ROLE_NAMES = Object.keys(ROLES)
+
+const hasPermission = (user, permission) => {
+  const role = ROLES[user?.role]
+  if (!role) return false
+  return role.permissions.includes("*") || role.permissions.includes(permission)
+}
+
+// College IDs the user's permissions are limited to, or null for platform-wide access
+const getCollegeScope = (user) => {
+  const role = ROLES[user?.role]
+  if (!role?.scoped) return null
+  return (user.staffColleges || []).map((id) => id.toString())
+}
+
+const canAccessCollege = (user, collegeId) => {
+  const scope = getCollegeScope(user)
+  return scope === null || scope.includes(collegeId?.toString())
+}
+
+const toObjectId = (id) => (mongoose.isValidObjectId(id) ? new mongoose.Types.ObjectId(String(id)) : id)
+
+// Build the `college` filter for list and analytics queries: the requested college if the
+// scope allows it, otherwise every college in scope. Returns undefined for "no filter".
+// Values are ObjectIds so the filter also works inside aggregation pipelines.
+const scopeCollegeFilter = (collegeScope, requestedCollege) => {
+  if (!collegeScope) {
+    return requestedCollege ? toObjectId(requestedCollege) : undefined
+  }
+
+  if (requestedCollege) {
+    return collegeScope.includes(String(requestedCollege)) ? toObjectId(requestedCollege) : { $in: [] }
+  }
+
+  return { $in: collegeScope.map(toObjectId) }
+}
+
+module.exports = {
+  ROLES,
+  ROLE_NAMES,
+  hasPermission,
+  getCollegeScope,
+  canAccessCollege,
+  scopeCollegeFilter,
+}
@@ -0,0 +1,69 @@
+// College fields a program's effective deadlines, requirements and tuition fall back to
+const PROGRAM_COLLEGE_FIELDS =
+  "name slug location images academics.programs admissions.applicationDeadlines admissions.requirements admissions.applicationFee costs.tuition"
+
+const toPlain = (value) => (value && typeof value.toObject === "function" ? value.toObject() : value || {})
+
+// Keep the program's own values where set, otherwise the college-wide ones
+const withFallback = (own, fallback) => {
+  const result = { ...toPlain(fallback) }
+  Object.entries(toPlain(own)).forEach(([key, value]) => {
+    const isEmptyList = Array.isArray(value) && value.length === 0
+    if (value !== undefined && value !== null && !isEmptyList) result[key] = value
+  })
+  return result
+}
+
+// A program as the public sees it: its own details, effective deadlines, requirements and
+// tuition, and the college offering it
+const programDetails = (college, program) => {
+  const collegeRequirements = college.admissions?.requirements || {}
+
+  return {
+    id: program._id,
+    name: program.name,
+    degree: program.degree || null,
+    department: program.department || null,
+    duration: program.duration || null,
+    credits: program.credits ?? null,
+    description: program.description || null,
+    isAcceptingApplications: program.isAcceptingApplications !== false,
+    deadlines: withFallback(program.deadlines, college.admissions?.applicationDeadlines),
+    requirements: withFallback(program.requirements, {
+      gpaMinimum: collegeRequirements.gpaMinimum,
+      requiredDocuments: collegeRequirements.requiredDocuments,
+      interviewRequired: collegeRequirements.interviewRequired,
+    }),
+    tuition: withFallback(program.tuition, college.costs?.tuition),
+    applicationFee: college.admissions?.applicationFee ?? null,
+    college: {
+      id: college._id,
+      name: college.name,
+      slug: college.slug,
+      location: { city: college.location?.city, state: college.location?.state },
+      image: college.images?.find((image) => image.isMain)?.url || college.images?.[0]?.url || null,
+    },
+  }
+}
+
+// The college's program matching an id, or a name (case-insensitive). Several programs can
+// share a name at different degree levels, so `degree` picks between them.
+const findCollegeProgram = (college, { programId, name, degree }) => {
+  const programs = college.academics?.programs || []
+
+  if (programId) {
+    return programs.find((program) => program._id.toString() === programId.toString()) || null
+  }
+
+  const key = String(name || "")
+    .trim()
+    .toLowerCase()
+  const matches = programs.filter((program) => program.name?.trim().toLowerCase() === key)
+  return matches.find((program) => program.degree === degree) || (matches.length === 1 ? matches[0] : null)
+}
+
+module.exports = {
+  PROGRAM_COLLEGE_FIELDS,
+  programDetails,
+  findCollegeProgram,
+}
@@ -1,3 +1,6 @@
+const Review = require("../models/Review")
+const College = require("../models/College")
+
 const calculateReviewScore = (review) => {
   const { ratings, helpful, reported } = review
 
@@ -85,8 +88,46 @@ const validateReviewContent = (content, title) => {
   }
 }
 
+// Helper function to update college ratings
+const updateCollegeRatings = async (collegeId) => {
+  const reviews = await Review.find({ college: collegeId, isActive: true })
+
+  if (reviews.length === 0) {
+    await College.findByIdAndUpdate(collegeId, {
+      "reviews.averageRating": 0,
+      "reviews.totalReviews": 0,
+      "reviews.ratingBreakdown": {
+        academics: 0,
+        campusLife: 0,
+        facilities: 0,
+        location: 0,
+        value: 0,
+      },
+    })
+    return
+  }
+
+  const totalReviews = reviews.length
+  const averageRating = reviews.reduce((sum, review) => sum + review.ratings.overall, 0) / totalReviews
+
+  const ratingBreakdown = {
+    academics: reviews.reduce((sum, review) => sum + review.ratings.academics, 0) / totalReviews,
+    campusLife: reviews.reduce((sum, review) => sum + review.ratings.campusLife, 0) / totalReviews,
+    facilities: reviews.reduce((sum, review) => sum + review.ratings.facilities, 0) / totalReviews,
+    location: reviews.reduce((sum, review) => sum + review.ratings.location, 0) / totalReviews,
+    value: reviews.reduce((sum, review) => sum + review.ratings.value, 0) / totalReviews,
+  }
+
+  await College.findByIdAndUpdate(collegeId, {
+    "reviews.averageRating": Math.round(averageRating * 10) / 10,
+    "reviews.totalReviews": totalReviews,
+    "reviews.ratingBreakdown": ratingBreakdown,
+  })
+}
+
 module.exports = {
   calculateReviewScore,
   getReviewSentiment,
   validateReviewContent,
+  updateCollegeRatings,
 }
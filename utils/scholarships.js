@@ -0,0 +1,171 @@
+// Scholarship eligibility rules and how a student measures up against them. Rules a student's
+// profile can't answer are reported as "unknown" rather than failing, so missing profile data
+// shows up as something to fill in instead of silently hiding awards.
+
+// Family income bands, as used by federal net price calculators
+const INCOME_BANDS = ["0-30k", "30-48k", "48-75k", "75-110k", "110k+"]
+
+const RESIDENCY_STATUSES = ["in-state", "out-of-state", "international"]
+
+const DEGREE_LEVELS = ["associate", "bachelor", "master", "doctoral", "certificate"]
+
+// Need-based awards without their own cutoff go to families at or below this band
+const DEFAULT_NEED_INCOME_BAND = "48-75k"
+
+// Degrees a student is likely to pursue next, from their current level of education
+const NEXT_DEGREE_LEVELS = {
+  "high-school": ["associate", "bachelor", "certificate"],
+  undergraduate: ["bachelor", "master", "certificate"],
+  graduate: ["master", "doctoral"],
+}
+
+const toPlain = (value) => (value && typeof value.toObject === "function" ? value.toObject() : value || {})
+
+const hasStructuredRules = (eligibility) => {
+  const rules = toPlain(eligibility)
+  return (
+    rules.minGpa != null ||
+    rules.minSat != null ||
+    rules.minAct != null ||
+    rules.residency?.length > 0 ||
+    rules.degreeLevels?.length > 0 ||
+    rules.majors?.length > 0 ||
+    rules.needBased === true ||
+    rules.maxIncomeBand != null
+  )
+}
+
+// Scholarships entered before rules were structured only have free-text criteria; read the
+// residency and need requirements from its keywords. Used by the migrate-scholarship-rules script
+// to store them as eligibility rules, so searches and matching see the same rules.
+const rulesFromCriteria = (criteria) => {
+  const text = String(criteria || "").toLowerCase()
+  const rules = {}
+  if (/\binternational\b/.test(text)) rules.residency = ["international"]
+  else if (/\b(in-state|resident|residents)\b/.test(text)) rules.residency = ["in-state"]
+  if (/\bneed\b|need-based|low-income/.test(text)) rules.needBased = true
+  return rules
+}
+
+// The rules that apply to a scholarship
+const eligibilityRules = (scholarship) => toPlain(scholarship.eligibility)
+
+const majorMatches = (required, majors) => {
+  const wanted = majors.map((major) => major.trim().toLowerCase()).filter(Boolean)
+  return required.some((major) => {
+    const name = major.trim().toLowerCase()
+    return wanted.some((interest) => interest.includes(name) || name.includes(interest))
+  })
+}
+
+// student: { gpa, sat, act, residency, degreeLevels, majors, incomeBand }, each null when unknown.
+// Returns "eligible" (every rule met), "possibly-eligible" (none failed, some unknown) or
+// "ineligible", with one check per rule.
+const evaluateEligibility = (scholarship, student) => {
+  const rules = eligibilityRules(scholarship)
+  const checks = []
+  const check = (rule, status, explanation) => checks.push({ rule, status, explanation })
+
+  if (rules.minGpa != null) {
+    const requirement = `Requires a GPA of at least ${rules.minGpa}`
+    if (student.gpa == null) check("gpa", "unknown", `${requirement}; add your GPA to your profile`)
+    else check("gpa", student.gpa >= rules.minGpa ? "met" : "not-met", requirement)
+  }
+
+  // Either test counts when a scholarship accepts both
+  const tests = [
+    ["SAT", student.sat, rules.minSat],
+    ["ACT", student.act, rules.minAct],
+  ].filter(([, , minimum]) => minimum != null)
+  if (tests.length > 0) {
+    const requirement = `Requires ${tests.map(([name, , minimum]) => `an ${name} of at least ${minimum}`).join(" or ")}`
+    const statuses = tests.map(([, score, minimum]) =>
+      score == null ? "unknown" : score >= minimum ? "met" : "not-met",
+    )
+    if (statuses.includes("met")) check("testScores", "met", requirement)
+    else if (statuses.includes("unknown"))
+      check("testScores", "unknown", `${requirement}; add your scores to your profile`)
+    else check("testScores", "not-met", requirement)
+  }
+
+  if (rules.residency?.length > 0) {
+    const requirement = `Open to ${rules.residency.join(" and ")} students`
+    if (!student.residency) check("residency", "unknown", `${requirement}; add your address to your profile`)
+    else check("residency", rules.residency.includes(student.residency) ? "met" : "not-met", requirement)
+  }
+
+  if (rules.degreeLevels?.length > 0) {
+    const requirement = `For ${rules.degreeLevels.join(" or ")} students`
+    if (!student.degreeLevels?.length) check("degreeLevel", "unknown", `${requirement}; add your education level`)
+    else {
+      const met = rules.degreeLevels.some((level) => student.degreeLevels.includes(level))
+      check("degreeLevel", met ? "met" : "not-met", requirement)
+    }
+  }
+
+  if (rules.majors?.length > 0) {
+    const requirement = `For students majoring in ${rules.majors.join(", ")}`
+    if (!student.majors?.length) check("major", "unknown", `${requirement}; add your intended majors`)
+    else check("major", majorMatches(rules.majors, student.majors) ? "met" : "not-met", requirement)
+  }
+
+  if (rules.needBased) {
+    const cutoff = rules.maxIncomeBand || DEFAULT_NEED_INCOME_BAND
+    const requirement = `Need-based: family income up to ${cutoff}`
+    if (!student.incomeBand) check("need", "unknown", `${requirement}; tell us your income band`)
+    else {
+      const met = INCOME_BANDS.indexOf(student.incomeBand) <= INCOME_BANDS.indexOf(cutoff)
+      check("need", met ? "met" : "not-met", requirement)
+    }
+  }
+
+  const status = checks.some((item) => item.status === "not-met")
+    ? "ineligible"
+    : checks.some((item) => item.status === "unknown")
+      ? "possibly-eligible"
+      : "eligible"
+
+  return { status, checks }
+}
+
+// What the eligibility rules need to know about a student, from their profile. The income band
+// isn't stored on the profile, so it is passed in.
+const studentFromProfile = (profile, { incomeBand, degreeLevel } = {}) => {
+  const education = profile?.education || {}
+  return {
+    gpa: education.gpa ?? null,
+    sat: education.testScores?.sat ?? null,
+    act: education.testScores?.act ?? null,
+    degreeLevels: degreeLevel ? [degreeLevel] : NEXT_DEGREE_LEVELS[education.currentLevel] || null,
+    majors: profile?.preferences?.interestedMajors || [],
+    incomeBand: incomeBand || null,
+    residency: null,
+  }
+}
+
+const scholarshipDetails = (college, scholarship) => ({
+  id: scholarship._id,
+  name: scholarship.name,
+  amount: scholarship.amount ?? null,
+  criteria: scholarship.criteria || null,
+  deadline: scholarship.deadline || null,
+  eligibility: eligibilityRules(scholarship),
+  college: {
+    id: college._id,
+    name: college.name,
+    slug: college.slug,
+    location: { city: college.location?.city, state: college.location?.state },
+  },
+})
+
+module.exports = {
+  INCOME_BANDS,
+  RESIDENCY_STATUSES,
+  DEGREE_LEVELS,
+  hasStructuredRules,
+  rulesFromCriteria,
+  eligibilityRules,
+  evaluateEligibility,
+  studentFromProfile,
+  scholarshipDetails,
+}
@@ -0,0 +1,123 @@
+const { escapeHtml } = require("./emailTemplates")
+
+const MAX_QUERY_LENGTH = 100
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+// $text treats quotes as phrases and a leading "-" as negation. Strip that syntax so user
+// input is always a plain list of words.
+const sanitizeTextSearch = (value) => {
+  return String(value ?? "")
+    .slice(0, MAX_QUERY_LENGTH)
+    .replace(/["\\]/g, " ")
+    .split(/\s+/)
+    .map((word) => word.replace(/^-+/, ""))
+    .filter(Boolean)
+    .join(" ")
+}
+
+const searchTerms = (value) => {
+  return [
+    ...new Set(
+      sanitizeTextSearch(value)
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter((term) => term.length >= 2),
+    ),
+  ]
+}
+
+// Return an HTML-escaped excerpt of `text` around the first match, with every match wrapped
+// in <mark>. Terms match word prefixes, which approximates the stemming $text applies.
+const highlight = (text, terms, maxLength = 160) => {
+  if (!text || terms.length === 0) return null
+
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegex).join("|")})[\\p{L}\\p{N}]*`, "giu")
+  const first = pattern.exec(text)
+  if (!first) return null
+  // matchAll below copies lastIndex from the regex, so rewind after exec
+  pattern.lastIndex = 0
+
+  let start = 0
+  let end = text.length
+  if (text.length > maxLength) {
+    start = Math.max(0, first.index - Math.floor(maxLength / 3))
+    end = Math.min(text.length, start + maxLength)
+    // Avoid cutting words in half
+    if (start > 0) start = text.indexOf(" ", start) + 1 || start
+    const lastSpace = text.lastIndexOf(" ", end)
+    if (end < text.length && lastSpace > first.index) end = lastSpace
+  }
+
+  const excerpt = text.slice(start, end)
+  let result = ""
+  let last = 0
+  for (const match of excerpt.matchAll(pattern)) {
+    result += `${escapeHtml(excerpt.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`
+    last = match.index + match[0].length
+  }
+  result += escapeHtml(excerpt.slice(last))
+
+  return `${start > 0 ? "…" : ""}${result}${end < text.length ? "…" : ""}`
+}
+
+// Optimal string alignment distance: insertions, deletions, substitutions and
+// transpositions of adjacent characters each cost 1
+const editDistance = (a, b) => {
+  const rows = a.length + 1
+  const cols = b.length + 1
+  const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)])
+  for (let j = 0; j < cols; j++) d[0][j] = j
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost)
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1)
+      }
+    }
+  }
+
+  return d[a.length][b.length]
+}
+
+const allowedTypos = (term) => (term.length <= 3 ? 0 : term.length <= 6 ? 1 : 2)
+
+// Score how well `query` matches `text` as a typed-ahead search: every query term must match
+// the start of some word, allowing a few typos for longer terms. Returns the total number
+// of typos (0 = exact prefix match) or null when it doesn't match.
+const fuzzyMatch = (query, text) => {
+  const terms = searchTerms(query)
+  const words = String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+  if (terms.length === 0 || words.length === 0) return null
+
+  let total = 0
+  for (const term of terms) {
+    let best = Infinity
+    for (const word of words) {
+      // Compare against the word's prefix, so partially typed words still match
+      for (const length of [term.length - 1, term.length, term.length + 1]) {
+        if (length < 1 || length > word.length) continue
+        best = Math.min(best, editDistance(term, word.slice(0, length)))
+      }
+      if (word.length < term.length - 1) best = Math.min(best, editDistance(term, word))
+    }
+    if (best > allowedTypos(term)) return null
+    total += best
+  }
+
+  return total
+}
+
+module.exports = {
+  escapeRegex,
+  sanitizeTextSearch,
+  searchTerms,
+  highlight,
+  editDistance,
+  fuzzyMatch,
+}
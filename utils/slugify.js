@@ -10,18 +10,29 @@ const slugify = (text) => {
     .replace(/-+$/, "") // Trim - from end of text
 }
 
+// A slug is taken if another document uses it now, or kept it as an alias after a rename
+// (models with a previousSlugs path), so old links never start pointing somewhere else
+const isSlugAvailable = async (Model, slug, excludeId = null) => {
+  const query = Model.schema.path("previousSlugs") ? { $or: [{ slug }, { previousSlugs: slug }] } : { slug }
+  if (excludeId) {
+    query._id = { $ne: excludeId }
+  }
+
+  return !(await Model.exists(query))
+}
+
+// previousSlugs for a document moving from its current slug to `newSlug`. Moving back to an
+// old slug drops it from the aliases.
+const previousSlugsAfterRename = (doc, newSlug) => {
+  return [...new Set([...(doc.previousSlugs || []), doc.slug])].filter((slug) => slug !== newSlug)
+}
+
 const generateUniqueSlug = async (Model, baseSlug, excludeId = null) => {
   let slug = slugify(baseSlug)
   let counter = 1
 
   while (true) {
-    const query = { slug }
-    if (excludeId) {
-      query._id = { $ne: excludeId }
-    }
-
-    const existingDoc = await Model.findOne(query)
-    if (!existingDoc) {
+    if (await isSlugAvailable(Model, slug, excludeId)) {
       return slug
     }
 
@@ -32,5 +43,7 @@ const generateUniqueSlug = async (Model, baseSlug, excludeId = null) => {
 
 module.exports = {
   slugify,
+  isSlugAvailable,
+  previousSlugsAfterRename,
   generateUniqueSlug,
 }